@@ -1,15 +1,29 @@
 #!/usr/bin/env node
 
+const path = require('path');
 const { program } = require('commander');
 const { version } = require('../package.json');
 const { init } = require('../lib/init');
 const { validate, clearCache } = require('../lib/validate');
 const { setupHooks } = require('../lib/hooks');
+const { watch } = require('../lib/watch');
+const { reportDiff, reportList, reportShow, reportOpen } = require('../lib/reports');
+const { configCheck, configPrint } = require('../lib/config-commands');
+const { serve } = require('../lib/server');
+const { linksRefresh } = require('../lib/links');
 
 program
   .name('hugo-validator')
   .description('Comprehensive validation pipeline for Hugo sites')
-  .version(version);
+  .version(version)
+  .option('--config <path>', 'Config file to use (default: hugo-validator/hugo-validator.config.{js,cjs,mjs,json})')
+  .option('--profile <name>', 'Apply a named profile from the config file\'s profiles')
+  .hook('preAction', () => {
+    // Passed through the environment so Playwright specs see the same configuration
+    const { config: configPath, profile } = program.opts();
+    if (configPath) process.env.HUGO_VALIDATOR_CONFIG = path.resolve(configPath);
+    if (profile) process.env.HUGO_VALIDATOR_PROFILE = profile;
+  });
 
 program
   .command('init')
@@ -28,13 +42,20 @@ program
 program
   .command('validate')
   .description('Run the full validation pipeline')
-  .option('--only <stage>', 'Run only a specific stage: hugo, css, html, tests')
+  .option('--only <stages>', 'Run only specific stages (comma-separated): hugo, css, html, tests, or custom stage names')
   .option('--full', 'Force all tests to run (ignore cache)')
   .option('--force', 'Alias for --full')
   .option('--interactive', 'Enable smart mode (skip unchanged passed tests)')
+  .option('--staged', 'Validate only pages affected by files staged in git (full run for layout/theme changes)')
   .option('--no-kill', 'Skip killing dev server processes')
   .option('--no-report', 'Skip report generation')
+  .option('--concurrency <n>', 'Maximum number of stages to run at once (1 = sequential)')
+  .option('--format <format>', 'Write machine-readable results: json, junit, sarif')
+  .option('--output <file>', 'File for --format results (default: in the timestamped report directory)')
+  .option('--offline', 'Use cached external link results only; links without one are reported as unchecked')
   .action(async (options) => {
+    // Read by the link spec
+    if (options.offline) process.env.HUGO_VALIDATOR_OFFLINE = '1';
     try {
       const exitCode = await validate(options);
       process.exit(exitCode);
@@ -44,6 +65,146 @@ program
     }
   });
 
+program
+  .command('watch')
+  .description('Watch source files and re-run affected stages on change')
+  .option('--interval <ms>', 'Polling interval in milliseconds', '1000')
+  .option('--concurrency <n>', 'Maximum number of stages to run at once (1 = sequential)')
+  .option('--no-kill', 'Skip killing dev server processes at startup')
+  .action(async (options) => {
+    try {
+      const exitCode = await watch(options);
+      process.exit(exitCode);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('baseline')
+  .description('Record current findings so validate only fails on new ones')
+  .option('--no-kill', 'Skip killing dev server processes')
+  .option('--concurrency <n>', 'Maximum number of stages to run at once (1 = sequential)')
+  .action(async (options) => {
+    try {
+      const exitCode = await validate({ ...options, full: true, report: false, updateBaseline: true });
+      process.exit(exitCode);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+const report = program
+  .command('report')
+  .description('Work with saved validation reports');
+
+report
+  .command('list')
+  .description('List past runs with the status of each stage')
+  .action(async () => {
+    try {
+      process.exit(await reportList());
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+report
+  .command('show <timestamp>')
+  .description('Print a past run (timestamp or unique prefix) to the console')
+  .action(async (timestamp) => {
+    try {
+      process.exit(await reportShow(timestamp));
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+report
+  .command('open [timestamp]')
+  .description('Serve a run\'s HTML report (default: the latest) and open it in the browser')
+  .option('--port <port>', 'Port to serve on (default: any free port)')
+  .option('--no-browser', 'Only print the URL')
+  .action(async (timestamp, options) => {
+    try {
+      const exitCode = await reportOpen(timestamp, options);
+      process.exit(exitCode);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+report
+  .command('diff [old] [new]')
+  .description('Compare two runs: new failures, fixed failures and test duration changes (default: previous vs latest)')
+  .action(async (oldRun, newRun) => {
+    try {
+      process.exit(await reportDiff(oldRun, newRun));
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('serve')
+  .description('Serve the built site with the test server (pretty URLs, 404 page, redirects)')
+  .option('--port <port>', 'Port to listen on (default: testServerPort)')
+  .action(async (options) => {
+    try {
+      const exitCode = await serve(options);
+      process.exit(exitCode);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+const links = program
+  .command('links')
+  .description('Work with the external link cache');
+
+links
+  .command('refresh')
+  .description('Recheck every external link of the last test run and update the cache')
+  .action(async () => {
+    try {
+      process.exit(await linksRefresh());
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+const configCommand = program
+  .command('config')
+  .description('Check or print the hugo-validator configuration');
+
+configCommand
+  .command('check')
+  .description('Validate the config file (unknown options, wrong types, profiles, custom stages)')
+  .action(async () => {
+    process.exit(await configCheck());
+  });
+
+configCommand
+  .command('print')
+  .description('Print the resolved configuration and where each value came from')
+  .option('--json', 'Print the resolved configuration as JSON')
+  .action(async (options) => {
+    try {
+      process.exit(await configPrint(options));
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('clear-cache')
   .description('Clear the validation cache (forces all tests to run next time)')
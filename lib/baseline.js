@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+
+const BASELINE_VERSION = 1;
+
+/**
+ * Build a stable identifier for a finding
+ * Line and column numbers are left out on purpose so that unrelated edits
+ * above a known issue don't turn it into a "new" one. Identical findings share
+ * a fingerprint, so the baseline stores how many of each there were.
+ * @param {object} finding - Finding with rule, file or url, and selector or message
+ * @returns {string}
+ */
+function getFingerprint(finding) {
+  const location = finding.url || finding.file || '';
+  const detail = finding.selector || finding.message || '';
+  return [finding.rule || '', location, detail].join('|');
+}
+
+/**
+ * Get the baseline file path from config
+ */
+function getBaselinePath(config) {
+  return config.baselineFile || 'hugo-validator/baseline.json';
+}
+
+/**
+ * Load the baseline file
+ * @param {object} config - Loaded configuration
+ * @returns {object|null} Baseline ({ version, generated, entries }) or null if there is none
+ */
+function loadBaseline(config) {
+  const baselinePath = getBaselinePath(config);
+  if (!fs.existsSync(baselinePath)) return null;
+
+  try {
+    const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+    return { ...baseline, entries: baseline.entries || {} };
+  } catch (error) {
+    throw new Error(`Could not read baseline ${baselinePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Record findings as the new baseline
+ * @param {object} config - Loaded configuration
+ * @param {object[]} findings - Findings (each with a stage)
+ * @returns {string} Path of the written baseline
+ */
+function writeBaseline(config, findings) {
+  const entries = {};
+  for (const finding of findings) {
+    const key = getFingerprint(finding);
+    if (entries[key]) {
+      entries[key].count++;
+      continue;
+    }
+    entries[key] = {
+      stage: finding.stage,
+      rule: finding.rule,
+      ...(finding.url ? { url: finding.url } : { file: finding.file }),
+      ...(finding.selector ? { selector: finding.selector } : { message: finding.message }),
+      count: 1,
+    };
+  }
+
+  // Sort keys so the committed file diffs cleanly
+  const sorted = {};
+  for (const key of Object.keys(entries).sort()) {
+    sorted[key] = entries[key];
+  }
+
+  const baselinePath = getBaselinePath(config);
+  fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+  fs.writeFileSync(baselinePath, JSON.stringify({
+    version: BASELINE_VERSION,
+    generated: new Date().toISOString(),
+    entries: sorted,
+  }, null, 2) + '\n');
+
+  return baselinePath;
+}
+
+/**
+ * Mark findings that are already in the baseline
+ * Only as many identical findings as the baseline counted are known; any more are new.
+ * @param {object[]} findings - Findings
+ * @param {object|null} baseline - From loadBaseline()
+ * @returns {object[]} Findings with `baselined: true|false` (unchanged if there is no baseline)
+ */
+function applyBaseline(findings, baseline) {
+  if (!baseline) return findings;
+  const remaining = new Map();
+  return findings.map(finding => {
+    const key = getFingerprint(finding);
+    if (!remaining.has(key)) remaining.set(key, getEntryCount(baseline.entries[key]));
+    const baselined = remaining.get(key) > 0;
+    if (baselined) remaining.set(key, remaining.get(key) - 1);
+    return { ...finding, baselined };
+  });
+}
+
+/**
+ * List baseline entries for a stage that no longer occur as often as recorded
+ * @param {object|null} baseline - From loadBaseline()
+ * @param {string} stage - Stage name
+ * @param {object[]} findings - Current findings for the stage
+ * @returns {object[]} Fixed baseline entries, with `count` set to the number fixed
+ */
+function getFixedEntries(baseline, stage, findings) {
+  if (!baseline) return [];
+  const current = new Map();
+  for (const key of findings.map(getFingerprint)) {
+    current.set(key, (current.get(key) || 0) + 1);
+  }
+  return Object.entries(baseline.entries)
+    .filter(([, entry]) => entry.stage === stage)
+    .map(([key, entry]) => ({ ...entry, count: getEntryCount(entry) - (current.get(key) || 0) }))
+    .filter(entry => entry.count > 0);
+}
+
+/**
+ * Number of identical findings a baseline entry covers (entries written before counts were
+ * recorded cover one)
+ */
+function getEntryCount(entry) {
+  if (!entry) return 0;
+  return entry.count || 1;
+}
+
+module.exports = {
+  getFingerprint,
+  getBaselinePath,
+  loadBaseline,
+  writeBaseline,
+  applyBaseline,
+  getFixedEntries,
+};
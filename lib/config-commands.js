@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveConfig, VALIDATOR_DIR } = require('./config');
+const { SCHEMA, hasProperties } = require('./schema');
+const { getStages } = require('./validate');
+const { checkPlaywrightSettings } = require('./playwright');
+const { compileLinkRules } = require('./links');
+
+/**
+ * CLI: validate the config file (schema, custom stage graph, Playwright settings and link rules)
+ * @returns {Promise<number>} Exit code
+ */
+async function configCheck() {
+  let resolved;
+  try {
+    resolved = await resolveConfig();
+    getStages(resolved.config);
+    checkPlaywrightSettings(resolved.config);
+    compileLinkRules(resolved.config);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+
+  const name = resolved.configPath ? path.relative(process.cwd(), resolved.configPath) : 'Default configuration';
+  console.log(`✅ ${name} is valid`);
+
+  if (Object.keys(resolved.config.skipExternalDomains).length > 0) {
+    console.warn('⚠️  skipExternalDomains is deprecated - move the domains to linkRules, e.g.');
+    console.warn("   { host: ['example.com', '*.example.com'], action: 'skip', reason: '...' }");
+  }
+
+  // Playwright configs generated by older versions hard-code the port, server and browsers
+  const playwrightConfig = path.join(VALIDATOR_DIR, 'playwright.config.ts');
+  if (fs.existsSync(playwrightConfig) && !fs.readFileSync(playwrightConfig, 'utf8').includes('createPlaywrightConfig')) {
+    console.warn(`⚠️  ${playwrightConfig} doesn't use createPlaywrightConfig(), so testServerPort, testServerCommand and the playwright options are ignored`);
+    console.warn('   See "Playwright configuration" in DOCUMENTATION.md to switch to the generated config');
+  }
+  return 0;
+}
+
+/**
+ * CLI: print the resolved configuration and where each value came from
+ * @param {object} [options]
+ * @param {boolean} [options.json] - Print the resolved configuration as JSON instead
+ * @returns {Promise<number>} Exit code
+ */
+async function configPrint(options = {}) {
+  const { config, configPath, profile, layers } = await resolveConfig();
+
+  if (options.json) {
+    console.log(JSON.stringify(config, serializeFunctions, 2));
+    return 0;
+  }
+
+  const rows = [];
+  const walk = (schema, values, prefix) => {
+    for (const [key, property] of Object.entries(schema.properties)) {
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+      if (keyPath === 'profiles') continue; // already applied
+      if (hasProperties(property)) {
+        walk(property, values?.[key], keyPath);
+        continue;
+      }
+      const source = [...layers].reverse().find(layer => getPath(layer.values, keyPath) !== undefined);
+      rows.push([keyPath, JSON.stringify(values?.[key], serializeFunctions) ?? 'undefined', source ? source.source : 'default']);
+    }
+  };
+  walk(SCHEMA, config, '');
+
+  const file = configPath ? path.relative(process.cwd(), configPath) : 'no config file';
+  console.log(`# ${file}${profile ? `, profile ${profile}` : ''}\n`);
+
+  const keyWidth = Math.max(...rows.map(row => row[0].length));
+  const valueWidth = Math.min(60, Math.max(...rows.map(row => row[1].length)));
+  for (const [key, value, source] of rows) {
+    console.log(`${key.padEnd(keyWidth)}  ${value.padEnd(valueWidth)}  (${source})`);
+  }
+  return 0;
+}
+
+/**
+ * Read a dotted key path from an object
+ */
+function getPath(object, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+/**
+ * JSON replacer that shows functions (custom stage run functions) by name and
+ * regular expressions (link rule urls) as written, instead of dropping them
+ */
+function serializeFunctions(key, value) {
+  if (value instanceof RegExp) return String(value);
+  return typeof value === 'function' ? `[Function ${value.name || key}]` : value;
+}
+
+module.exports = { configCheck, configPrint };
@@ -1,21 +1,37 @@
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
+const { validateConfig } = require('./schema');
 
 const VALIDATOR_DIR = 'hugo-validator';
 const CONFIG_FILENAME = 'hugo-validator.config.js';
 
+// Config files looked for in the hugo-validator directory, in order
+const CONFIG_FILENAMES = [CONFIG_FILENAME, 'hugo-validator.config.cjs', 'hugo-validator.config.mjs', 'hugo-validator.config.json'];
+
 /**
  * Get the default configuration
  */
 function getDefaultConfig() {
   return {
-    // Required: Site URL for skipping self-referential links
+    // Required: Production site URL - links to it are checked against the test server
     siteUrl: 'https://example.com',
 
+    // Other hosts that serve the site (e.g. www.example.com), also checked as internal links
+    siteAliases: [],
+
     // Ports to kill before validation
     portsToKill: [1313, 3000],
 
-    // External domains to skip in link checking
+    // Ordered rules for external links: skip them, send other headers, accept statuses, or
+    // only warn (see DOCUMENTATION.md). The first matching rule applies.
+    linkRules: [],
+
+    // Apply the built-in rules for sites that block link checkers (LinkedIn, Stack Overflow, ...)
+    // after linkRules
+    builtinLinkRules: true,
+
+    // Deprecated: domains (and their subdomains) to skip, use linkRules instead
     skipExternalDomains: {},
 
     // CSS validation pattern
@@ -29,9 +45,36 @@ function getDefaultConfig() {
       ],
     },
 
+    // External link checker: requests at once, overall and per host, and retries of
+    // timeouts, connection resets, 5xx and 429 responses (Retry-After is honoured)
+    linkCheck: {
+      concurrency: 8,
+      perHostConcurrency: 2,
+      timeout: 10000, // Per request, in ms
+      retries: 2,
+      retryDelay: 1000, // ms before the first retry, doubled for each further one
+      maxRetryAfter: 60, // Seconds; a host asking to wait longer is skipped for the rest of the run
+    },
+
+    // External link results are cached in hugo-validator/.link-cache.json and trusted
+    // for this many days, per status class (0 = recheck every run)
+    linkCache: {
+      enabled: true,
+      ttlDays: {
+        success: 7, // 2xx
+        redirect: 7, // 3xx
+        clientError: 1, // 4xx, and non-standard codes like LinkedIn's 999
+        serverError: 0, // 5xx
+        error: 0, // Timeouts, DNS and connection errors
+      },
+    },
+
     // Paths to skip in accessibility and link tests
     skipPaths: ['/rss.xml', '/sitemap.xml', '/robots.txt'],
 
+    // Pages that are fine without links from other pages (URL path globs, e.g. '/thanks/')
+    orphanAllowlist: [],
+
     // Responsive test settings
     responsive: {
       wrapperSelector: '.page-wrapper',
@@ -54,41 +97,224 @@ function getDefaultConfig() {
 
     // Report settings
     generateReport: true, // Set to false to disable VALIDATION-REPORT.md
-    reportRetention: 8,
+    reportRetention: 8, // Number of reports to keep
+    reportMaxAgeDays: null, // Also remove reports older than this
+    reportMaxSize: null, // Also cap total size, e.g. '500MB'
     reportFilename: 'VALIDATION-REPORT.md',
     reportsDir: 'hugo-validator/reports',
 
+    // Known findings that don't fail validation (written by `hugo-validator baseline`)
+    baselineFile: 'hugo-validator/baseline.json',
+
     // Test server settings
     testServerPort: 3000,
-    testServerCommand: null, // Auto-generated if null
+    testServerCommand: null, // Built-in static server (`hugo-validator serve`) if null
+
+    // Built-in static server settings
+    testServer: {
+      publicDir: 'public',
+      trailingSlash: true, // Redirect /posts to /posts/ like most hosts
+      notFoundPage: '404.html', // Served with a 404 status for missing paths (relative to publicDir)
+      redirectsFile: null, // Netlify-style _redirects file to apply, e.g. 'public/_redirects'
+      aliases: true, // Answer Hugo alias pages with a 301 instead of a meta refresh
+    },
+
+    // Where the specs get their list of pages (written once per test run)
+    pageDiscovery: {
+      sources: ['sitemap', 'filesystem'], // sitemap.xml, public/**/index.html, and/or 'crawl' from /
+      filesystemPattern: '**/index.html', // HTML files (in publicDir) that are pages - '**/*.html' with uglyURLs
+      maxPages: 5000,
+    },
+
+    // Playwright projects and runner settings (see lib/playwright.js)
+    playwright: {
+      browsers: ['chromium'], // chromium, firefox, webkit - one project each
+      viewports: {}, // Per-browser viewport, e.g. { webkit: { width: 1280, height: 800 } }
+      workers: null, // Number or percentage of cores; null = Playwright default (1 on CI)
+      retries: null, // null = 2 on CI, 0 locally
+    },
+
+    // Custom pipeline stages (see DOCUMENTATION.md)
+    stages: [],
+
+    // Maximum number of stages to run at once (independent stages overlap)
+    concurrency: 2,
   };
 }
 
 /**
  * Load configuration from project root
- * @param {string} [projectRoot] - Project root directory (defaults to cwd)
+ * Synchronous, so ES module configs need a Node version that can require() them -
+ * loadConfigAsync() loads any config.
+ * @param {object|string} [options] - Options, or the project root directory
+ * @param {string} [options.projectRoot] - Project root directory (defaults to cwd)
+ * @param {string} [options.configPath] - Config file to use instead of searching (defaults to $HUGO_VALIDATOR_CONFIG)
+ * @param {string} [options.profile] - Profile to apply (defaults to $HUGO_VALIDATOR_PROFILE)
  * @returns {object} Merged configuration
+ * @throws {Error} If the config file can't be loaded or fails schema validation
  */
-function loadConfig(projectRoot = process.cwd()) {
-  const configPath = path.join(projectRoot, VALIDATOR_DIR, CONFIG_FILENAME);
+function loadConfig(options = {}) {
+  return resolveConfigSync(options).config;
+}
+
+/**
+ * Load configuration from project root, importing ES module configs where needed
+ * @param {object|string} [options] - See loadConfig()
+ * @returns {Promise<object>} Merged configuration
+ * @throws {Error} If the config file can't be loaded or fails schema validation
+ */
+async function loadConfigAsync(options = {}) {
+  return (await resolveConfig(options)).config;
+}
+
+/**
+ * Load configuration along with the layers it was merged from
+ * @param {object} [options] - See loadConfig()
+ * @returns {Promise<{ config: object, configPath: string|null, profile: string|null, layers: { source: string, values: object }[] }>}
+ *   Layers in merge order (defaults, config file, profile); later layers win
+ */
+async function resolveConfig(options = {}) {
+  const location = locateConfig(options);
+  if (!location.configPath) return buildConfig(null, location);
+
+  let userConfig;
+  try {
+    userConfig = await importConfigFile(location.configPath);
+  } catch (error) {
+    throw new Error(`Could not load ${location.displayPath}: ${error.message}`);
+  }
+  return buildConfig(userConfig, location);
+}
+
+/**
+ * Synchronous resolveConfig() for callers that can't await, such as Playwright spec files
+ * ES module configs need a Node version that can require() them.
+ * @param {object} [options] - See loadConfig()
+ * @returns {{ config: object, configPath: string|null, profile: string|null, layers: { source: string, values: object }[] }}
+ */
+function resolveConfigSync(options = {}) {
+  const location = locateConfig(options);
+  if (!location.configPath) return buildConfig(null, location);
+
+  let userConfig;
+  try {
+    userConfig = requireConfigFile(location.configPath);
+  } catch (error) {
+    if (isEsmRequireError(error)) {
+      throw new Error(`Could not load ${location.displayPath}: ES module configs can't be loaded synchronously on Node ${process.versions.node} - use a .cjs or .json config`);
+    }
+    throw new Error(`Could not load ${location.displayPath}: ${error.message}`);
+  }
+  return buildConfig(userConfig, location);
+}
+
+/**
+ * Work out which config file and profile to use
+ */
+function locateConfig(options) {
+  if (typeof options === 'string') options = { projectRoot: options };
+  const projectRoot = options.projectRoot || process.cwd();
+  const profile = options.profile || process.env.HUGO_VALIDATOR_PROFILE || null;
+  const explicitPath = options.configPath || process.env.HUGO_VALIDATOR_CONFIG;
+  const configPath = explicitPath ? path.resolve(projectRoot, explicitPath) : findConfigFile(projectRoot);
+
+  if (explicitPath && !fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${explicitPath}`);
+  }
+
+  if (!configPath && profile) {
+    throw new Error(`Profile "${profile}" requested, but there is no config file to define it`);
+  }
+
+  const displayPath = configPath ? path.relative(projectRoot, configPath) : null;
+  return { configPath, displayPath, profile };
+}
+
+/**
+ * Validate a loaded config file and merge it (and the profile) over the defaults
+ */
+function buildConfig(userConfig, { configPath, displayPath, profile }) {
   const defaults = getDefaultConfig();
+  const layers = [{ source: 'default', values: defaults }];
 
-  if (!fs.existsSync(configPath)) {
+  if (!configPath) {
     console.warn(`Warning: ${CONFIG_FILENAME} not found, using defaults`);
-    return defaults;
+    return { config: defaults, configPath: null, profile: null, layers };
   }
 
-  try {
-    // Clear require cache to get fresh config
-    delete require.cache[require.resolve(configPath)];
-    const userConfig = require(configPath);
+  const problems = validateConfig(userConfig);
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${displayPath}:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+  }
 
-    // Deep merge configuration
-    return deepMerge(defaults, userConfig);
-  } catch (error) {
-    console.error(`Error loading ${CONFIG_FILENAME}:`, error.message);
-    return defaults;
+  const { profiles = {}, ...fileValues } = userConfig;
+  layers.push({ source: displayPath, values: fileValues });
+
+  if (profile) {
+    if (!profiles[profile]) {
+      const available = Object.keys(profiles);
+      throw new Error(`Unknown profile "${profile}" (${available.length > 0 ? `available: ${available.join(', ')}` : `no profiles defined in ${displayPath}`})`);
+    }
+    layers.push({ source: `profile ${profile}`, values: profiles[profile] });
+  }
+
+  // Deep merge configuration
+  const config = layers.slice(1).reduce((merged, layer) => deepMerge(merged, layer.values), defaults);
+  return { config, configPath, profile, layers };
+}
+
+/**
+ * Find the config file in the hugo-validator directory
+ * @returns {string|null} Absolute path of the first of CONFIG_FILENAMES that exists
+ */
+function findConfigFile(projectRoot = process.cwd()) {
+  for (const filename of CONFIG_FILENAMES) {
+    const candidate = path.join(projectRoot, VALIDATOR_DIR, filename);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Load a config file: JSON, CommonJS (.cjs, or .js in a CommonJS package) or ESM (.mjs, or .js
+ * in a "type": "module" package). ESM configs use their default export.
+ */
+async function importConfigFile(configPath) {
+  if (!configPath.endsWith('.mjs')) {
+    try {
+      return requireConfigFile(configPath);
+    } catch (error) {
+      if (!isEsmRequireError(error)) throw error;
+    }
+  }
+
+  // The query string makes import() load a fresh copy when the file changes (watch mode)
+  const { mtimeMs } = fs.statSync(configPath);
+  const loaded = await import(`${pathToFileURL(configPath).href}?t=${mtimeMs}`);
+  return loaded.default;
+}
+
+/**
+ * Check whether require() failed because the file is an ES module it can't load
+ * (any ESM on older Node versions, ESM with top-level await on newer ones)
+ */
+function isEsmRequireError(error) {
+  return error.code === 'ERR_REQUIRE_ESM' || error.code === 'ERR_REQUIRE_ASYNC_MODULE';
+}
+
+/**
+ * Load a config file synchronously: JSON, CommonJS, or ESM where Node can require() it
+ */
+function requireConfigFile(configPath) {
+  if (configPath.endsWith('.json')) {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
   }
+
+  // Clear require cache to get fresh config
+  delete require.cache[require.resolve(configPath)];
+  const loaded = require(configPath);
+  // Newer Node versions can require() ES modules and return their namespace
+  return loaded && loaded[Symbol.toStringTag] === 'Module' ? loaded.default : loaded;
 }
 
 /**
@@ -146,8 +372,13 @@ function detectHugoConfig(projectRoot = process.cwd()) {
 
 module.exports = {
   loadConfig,
+  loadConfigAsync,
+  resolveConfig,
+  resolveConfigSync,
+  findConfigFile,
   getDefaultConfig,
   detectHugoConfig,
   CONFIG_FILENAME,
+  CONFIG_FILENAMES,
   VALIDATOR_DIR,
 };
@@ -0,0 +1,74 @@
+const path = require('path');
+const fg = require('fast-glob');
+const picomatch = require('picomatch');
+
+// Directories never walked unless a pattern starts inside them
+const SKIP_DIRS = ['node_modules', '.git'];
+
+// Compiled matchers, keyed by pattern list (watch polling and staged filtering reuse a few sets)
+const matchers = new Map();
+
+/**
+ * Get a compiled matcher for a set of glob patterns
+ * @param {string[]} patterns - Glob patterns (forward slashes)
+ * @returns {(file: string) => boolean}
+ */
+function getMatcher(patterns) {
+  const key = patterns.join('\0');
+  if (!matchers.has(key)) {
+    matchers.set(key, picomatch(patterns, { dot: true }));
+  }
+  return matchers.get(key);
+}
+
+/**
+ * Test whether a relative path matches any of the given glob patterns
+ */
+function matchesAny(file, patterns) {
+  return patterns.length > 0 && getMatcher(patterns)(toPosix(file));
+}
+
+/**
+ * Find files matching glob patterns
+ * @param {string[]} patterns - Glob patterns relative to cwd
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Directory patterns are relative to (defaults to process.cwd())
+ * @param {string[]} [options.ignore] - Glob patterns to exclude
+ * @returns {string[]} Sorted, de-duplicated relative file paths (forward slashes)
+ */
+function findFiles(patterns, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const ignore = options.ignore || [];
+  const files = new Set();
+
+  for (const rawPattern of patterns.filter(Boolean)) {
+    const pattern = toPosix(rawPattern).replace(/^\.\//, '');
+    const segments = pattern.split('/');
+    const skip = SKIP_DIRS.filter(dir => !segments.includes(dir)).map(dir => `**/${dir}/**`);
+
+    const matches = fg.sync(pattern, {
+      cwd,
+      dot: true,
+      onlyFiles: true,
+      followSymbolicLinks: false,
+      ignore: [...skip, ...ignore],
+    });
+    for (const file of matches) {
+      files.add(file);
+    }
+  }
+
+  return [...files].sort();
+}
+
+/**
+ * Convert a path to forward slashes
+ */
+function toPosix(file) {
+  return file.split(path.sep).join('/');
+}
+
+module.exports = {
+  findFiles,
+  matchesAny,
+};
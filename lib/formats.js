@@ -0,0 +1,338 @@
+const path = require('path');
+const { version } = require('../package.json');
+const { CONFIG_FILENAME, VALIDATOR_DIR } = require('./config');
+const { pageToFile } = require('./staged');
+
+const FORMATS = {
+  json: { extension: 'json', format: formatJson },
+  junit: { extension: 'xml', format: formatJunit },
+  sarif: { extension: 'sarif', format: formatSarif },
+};
+
+/**
+ * Tool names reported for the built-in stages
+ */
+const STAGE_TOOLS = {
+  hugo: 'hugo',
+  css: 'stylelint',
+  html: 'html-validate',
+  tests: 'playwright',
+};
+
+/**
+ * Build a machine-readable summary of a validation run
+ * @param {object[]} stages - Stage definitions, in pipeline order
+ * @param {object} results - Stage results keyed by stage name
+ * @param {string} timestamp - Run timestamp (report directory name)
+ * @returns {object} Run summary
+ */
+function buildRunSummary(stages, results, timestamp) {
+  const summary = {
+    tool: 'hugo-validator',
+    version,
+    timestamp,
+    status: stages.some(s => results[s.name].status === 'failed') ? 'failed' : 'passed',
+    stages: [],
+  };
+
+  for (const stage of stages) {
+    const result = results[stage.name];
+    summary.stages.push({
+      name: stage.name,
+      label: stage.label,
+      status: result.status,
+      duration: result.duration || 0,
+      findings: result.findings || [],
+      ...(result.fixedBaseline ? { fixedBaseline: result.fixedBaseline } : {}),
+      ...(result.playwright ? { playwright: result.playwright } : {}),
+    });
+  }
+
+  return summary;
+}
+
+/**
+ * Get the default output filename for a format
+ */
+function getDefaultOutputFile(format) {
+  return format === 'junit' ? 'junit.xml' : `results.${FORMATS[format].extension}`;
+}
+
+/**
+ * Render a run summary in the requested format
+ * @param {string} format - json, junit or sarif
+ * @param {object} summary - Summary from buildRunSummary()
+ * @param {object} [options]
+ * @param {string} [options.configFile] - Config file (relative path), the SARIF location of stage-level results
+ * @param {string} [options.publicDir] - Build output directory page URLs are mapped into for SARIF
+ * @returns {string} Rendered output
+ */
+function formatResults(format, summary, options = {}) {
+  if (!FORMATS[format]) {
+    throw new Error(`Unknown format: ${format} (valid formats: ${Object.keys(FORMATS).join(', ')})`);
+  }
+  return FORMATS[format].format(summary, options);
+}
+
+/**
+ * JSON: the run summary as-is
+ */
+function formatJson(summary) {
+  return JSON.stringify(summary, null, 2) + '\n';
+}
+
+/**
+ * JUnit XML: one testsuite per stage, Playwright suites mapped to their own testsuites
+ */
+function formatJunit(summary) {
+  const suites = [];
+
+  for (const stage of summary.stages) {
+    if (stage.playwright) {
+      for (const suite of stage.playwright.suites) {
+        suites.push({
+          name: `${stage.label} › ${suite.suite}`,
+          cases: suite.tests.map(test => ({
+            name: test.name,
+            classname: suite.suite,
+            time: parseFloat(test.duration) || 0,
+            status: test.status,
+            failure: test.errors.join('\n'),
+            output: test.output.join('\n'),
+          })),
+        });
+      }
+      continue;
+    }
+
+    const cases = [];
+    const byFile = groupFindingsByFile(stage.findings);
+
+    if (byFile.size > 0) {
+      for (const [file, findings] of byFile) {
+        // Findings in the baseline are reported as output, not failures
+        const errors = findings.filter(f => f.severity === 'error' && !f.baselined);
+        cases.push({
+          name: file || stage.label,
+          classname: stage.name,
+          time: 0,
+          status: errors.length > 0 ? 'failed' : 'passed',
+          failure: errors.map(formatFindingLine).join('\n'),
+          output: findings.filter(f => !errors.includes(f)).map(formatFindingLine).join('\n'),
+        });
+      }
+    } else {
+      cases.push({
+        name: stage.label,
+        classname: stage.name,
+        time: stage.duration,
+        status: stage.status,
+        failure: stage.status === 'failed' ? `${stage.label} failed` : '',
+        output: '',
+      });
+    }
+
+    suites.push({ name: stage.label, cases });
+  }
+
+  let totalTests = 0;
+  let totalFailures = 0;
+  let totalSkipped = 0;
+  let body = '';
+
+  for (const suite of suites) {
+    const failures = suite.cases.filter(c => c.status === 'failed').length;
+    const skipped = suite.cases.filter(c => c.status === 'skipped').length;
+    const time = suite.cases.reduce((sum, c) => sum + c.time, 0);
+    totalTests += suite.cases.length;
+    totalFailures += failures;
+    totalSkipped += skipped;
+
+    body += `  <testsuite name="${escapeXml(suite.name)}" tests="${suite.cases.length}" failures="${failures}" skipped="${skipped}" time="${time.toFixed(3)}">\n`;
+    for (const testCase of suite.cases) {
+      body += `    <testcase name="${escapeXml(testCase.name)}" classname="${escapeXml(testCase.classname)}" time="${testCase.time.toFixed(3)}">\n`;
+      if (testCase.status === 'failed') {
+        const message = testCase.failure.split('\n')[0];
+        body += `      <failure message="${escapeXml(message)}">${escapeXml(testCase.failure)}</failure>\n`;
+      } else if (testCase.status === 'skipped') {
+        body += `      <skipped/>\n`;
+      }
+      if (testCase.output) {
+        body += `      <system-out>${escapeXml(testCase.output)}</system-out>\n`;
+      }
+      body += `    </testcase>\n`;
+    }
+    body += `  </testsuite>\n`;
+  }
+
+  const totalTime = summary.stages.reduce((sum, s) => sum + s.duration, 0);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="hugo-validator" tests="${totalTests}" failures="${totalFailures}" skipped="${totalSkipped}" time="${totalTime.toFixed(3)}">
+${body}</testsuites>
+`;
+}
+
+/**
+ * SARIF 2.1.0: one run per stage tool, with file/line locations where known
+ * Code scanning needs a physical location for every result, so page findings point at the
+ * generated HTML file and findings without a file or page point at the config file.
+ */
+function formatSarif(summary, options = {}) {
+  const configFile = options.configFile || path.posix.join(VALIDATOR_DIR, CONFIG_FILENAME);
+  const publicDir = options.publicDir || 'public';
+  const configLocation = { physicalLocation: { artifactLocation: { uri: toUri(configFile) } } };
+  const runs = [];
+
+  for (const stage of summary.stages) {
+    if (stage.status === 'skipped' && stage.findings.length === 0) continue;
+
+    const rules = new Map();
+    const results = [];
+
+    for (const finding of stage.findings) {
+      const ruleId = finding.rule || stage.name;
+      if (!rules.has(ruleId)) {
+        rules.set(ruleId, { id: ruleId });
+      }
+
+      const result = {
+        ruleId,
+        level: finding.severity === 'error' ? 'error' : 'warning',
+        message: { text: finding.message },
+        ...(finding.baselined !== undefined ? { baselineState: finding.baselined ? 'unchanged' : 'new' } : {}),
+      };
+
+      if (finding.url && !finding.file) {
+        const page = finding.url.startsWith('/') ? finding.url.replace(/[?#].*$/, '') : null;
+        result.locations = [{
+          ...(page ? { physicalLocation: { artifactLocation: { uri: pageToFile(page, publicDir) } } } : configLocation),
+          logicalLocations: [{ name: finding.url, kind: 'url' }],
+        }];
+      } else if (finding.file) {
+        result.locations = [{
+          physicalLocation: {
+            artifactLocation: { uri: toUri(finding.file) },
+            ...(finding.line ? {
+              region: {
+                startLine: finding.line,
+                ...(finding.column ? { startColumn: finding.column } : {}),
+              },
+            } : {}),
+          },
+        }];
+      } else {
+        result.locations = [configLocation];
+      }
+
+      results.push(result);
+    }
+
+    // A failed stage without structured findings still needs to show up
+    if (stage.status === 'failed' && results.length === 0) {
+      const ruleId = `${stage.name}/failed`;
+      rules.set(ruleId, { id: ruleId });
+      results.push({
+        ruleId,
+        level: 'error',
+        message: { text: `${stage.label} failed` },
+        locations: [configLocation],
+      });
+    }
+
+    runs.push({
+      tool: {
+        driver: {
+          name: STAGE_TOOLS[stage.name] || stage.name,
+          informationUri: 'https://github.com/thedavecarroll/hugo-validator',
+          rules: [...rules.values()],
+        },
+      },
+      automationDetails: { id: `hugo-validator/${stage.name}/${summary.timestamp}` },
+      results,
+    });
+  }
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs,
+  }, null, 2) + '\n';
+}
+
+/**
+ * Format findings as stylish-style text, grouped by file
+ * @param {object[]} findings - Findings with file, line, column, rule, severity, message
+ * @returns {string}
+ */
+function formatFindingsText(findings) {
+  const sections = [];
+
+  for (const [file, fileFindings] of groupFindingsByFile(findings)) {
+    const sorted = [...fileFindings].sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+    const rows = sorted.map(f => [
+      f.line ? `${f.line}:${f.column || 0}` : '',
+      f.severity,
+      f.message,
+      f.rule || '',
+    ]);
+    const widths = [0, 1, 2].map(col => Math.max(...rows.map(row => row[col].length)));
+    const lines = rows.map(row =>
+      `  ${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2].padEnd(widths[2])}  ${row[3]}`.trimEnd()
+    );
+    sections.push(`${file || '(no file)'}\n${lines.join('\n')}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Group findings by file or page URL (findings without either are grouped under '')
+ */
+function groupFindingsByFile(findings) {
+  const byFile = new Map();
+  for (const finding of findings) {
+    const key = finding.file || finding.url || '';
+    if (!byFile.has(key)) byFile.set(key, []);
+    byFile.get(key).push(finding);
+  }
+  return byFile;
+}
+
+/**
+ * Format a finding as a single line of text
+ */
+function formatFindingLine(finding) {
+  const location = finding.line ? `${finding.line}:${finding.column || 0} ` : '';
+  const rule = finding.rule ? ` (${finding.rule})` : '';
+  return `${location}${finding.message}${rule}`;
+}
+
+/**
+ * Convert a file path to a relative, forward-slash URI
+ */
+function toUri(file) {
+  const relative = path.isAbsolute(file) ? path.relative(process.cwd(), file) : file;
+  return relative.split(path.sep).join('/');
+}
+
+/**
+ * Escape text for XML attributes and content
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+module.exports = {
+  FORMATS,
+  buildRunSummary,
+  formatResults,
+  formatFindingLine,
+  formatFindingsText,
+  getDefaultOutputFile,
+};
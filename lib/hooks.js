@@ -6,7 +6,7 @@ const PRE_COMMIT_HOOK = `#!/bin/sh
 # Generated by hugo-validator
 # To regenerate: npx hugo-validator setup-hooks
 
-npx hugo-validator validate
+npx hugo-validator validate --staged
 
 exit $?
 `;
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const { fileToPage } = require('./staged');
+
+const STATUS_ICONS = { passed: '✅', failed: '❌', skipped: '⏭️' };
+
+const STYLES = `
+body { font: 14px/1.5 system-ui, sans-serif; margin: 0 auto; max-width: 1200px; padding: 1rem 2rem; color: #1f2328; }
+h1 { margin-bottom: 0; }
+h2 { margin-top: 2rem; border-bottom: 1px solid #d0d7de; padding-bottom: .25rem; }
+table { border-collapse: collapse; width: 100%; margin: .5rem 0; }
+th, td { text-align: left; padding: .3rem .5rem; border-bottom: 1px solid #d0d7de; vertical-align: top; }
+th { background: #f6f8fa; }
+code, pre { font-family: ui-monospace, monospace; font-size: 12px; }
+pre { background: #f6f8fa; padding: .75rem; overflow: auto; max-height: 40rem; }
+details { margin: .5rem 0; }
+summary { cursor: pointer; font-weight: 600; }
+.meta { color: #656d76; }
+.passed { color: #1a7f37; }
+.failed, .error { color: #cf222e; }
+.warning { color: #9a6700; }
+.skipped, .known { color: #656d76; }
+.filters { display: flex; gap: 1rem; flex-wrap: wrap; align-items: center; margin: .5rem 0; }
+.filters input[type=search] { min-width: 16rem; }
+tr.hidden { display: none; }
+img.screenshot { max-width: 100%; border: 1px solid #d0d7de; margin: .5rem 0; }
+`;
+
+// Filters the findings table; rows carry data-stage, data-severity, data-page and data-known
+const SCRIPT = `
+(function () {
+  var stage = document.getElementById('filter-stage');
+  var severity = document.getElementById('filter-severity');
+  var page = document.getElementById('filter-page');
+  var known = document.getElementById('filter-known');
+  var count = document.getElementById('filter-count');
+  if (!stage) return;
+  function apply() {
+    var rows = document.querySelectorAll('#findings tbody tr');
+    var shown = 0;
+    var text = page.value.toLowerCase();
+    rows.forEach(function (row) {
+      var visible = (!stage.value || row.dataset.stage === stage.value) &&
+        (!severity.value || row.dataset.severity === severity.value) &&
+        (!text || row.dataset.page.toLowerCase().indexOf(text) !== -1) &&
+        (known.checked || row.dataset.known !== 'true');
+      row.classList.toggle('hidden', !visible);
+      if (visible) shown++;
+    });
+    count.textContent = 'Showing ' + shown + ' of ' + rows.length;
+  }
+  [stage, severity, page, known].forEach(function (el) { el.addEventListener('input', apply); });
+  apply();
+})();
+`;
+
+/**
+ * Render a self-contained HTML report for a run (no external assets; screenshots are inlined)
+ * @param {object} summary - Run summary from buildRunSummary()
+ * @param {object} [options]
+ * @param {object} [options.logs] - Stage name -> log output
+ * @param {object|null} [options.changes] - Comparison with the previous run, from diffRuns()
+ * @param {string} [options.baseUrl] - Local test server URL, for links to pages
+ * @param {string} [options.reportDir] - Report directory screenshot paths are relative to
+ * @param {string} [options.publicDir] - Build output directory, for mapping HTML files to pages
+ * @returns {string} HTML document
+ */
+function renderHtmlReport(summary, { logs = {}, changes = null, baseUrl = '', reportDir = '.', publicDir = 'public' } = {}) {
+  const stages = summary.stages;
+  const findings = stages.flatMap(stage => stage.findings.map(finding => ({ ...finding, stage: stage.name })));
+  const statusClass = summary.status === 'failed' ? 'failed' : 'passed';
+
+  let body = `<h1>Validation Report</h1>
+<p class="meta">${escapeHtml(summary.timestamp)} · hugo-validator ${escapeHtml(summary.version)} ·
+<strong class="${statusClass}">${summary.status === 'failed' ? '❌ Some validations failed' : '✅ All validations passed'}</strong></p>
+`;
+
+  body += renderStageTable(stages);
+
+  if (changes) {
+    body += renderChanges(changes);
+  }
+
+  if (findings.length > 0) {
+    body += renderFindings(stages, findings, baseUrl, publicDir);
+  }
+
+  for (const stage of stages) {
+    if (stage.playwright) {
+      body += renderPlaywright(stage, reportDir);
+    }
+  }
+
+  body += `<h2>Logs</h2>\n`;
+  for (const stage of stages) {
+    const log = (logs[stage.name] || '').trim();
+    body += `<details${stage.status === 'failed' ? ' open' : ''}><summary>${STATUS_ICONS[stage.status] || ''} ${escapeHtml(stage.label)}</summary>
+<pre>${escapeHtml(log || 'Not run')}</pre></details>\n`;
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Validation Report - ${escapeHtml(summary.timestamp)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${body}<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Stage overview: status, duration and finding counts
+ */
+function renderStageTable(stages) {
+  let html = `<table>
+<thead><tr><th>Stage</th><th>Status</th><th>Duration</th><th>Errors</th><th>Warnings</th><th>Known</th></tr></thead>
+<tbody>
+`;
+  for (const stage of stages) {
+    const active = stage.findings.filter(f => !f.baselined);
+    const errors = active.filter(f => f.severity === 'error').length;
+    html += `<tr><td>${escapeHtml(stage.label)}</td>
+<td class="${stage.status}">${STATUS_ICONS[stage.status] || ''} ${stage.status}</td>
+<td>${stage.status === 'skipped' ? '' : `${stage.duration.toFixed(1)}s`}</td>
+<td>${errors || ''}</td><td>${active.length - errors || ''}</td><td>${stage.findings.length - active.length || ''}</td></tr>
+`;
+  }
+  return `${html}</tbody>\n</table>\n`;
+}
+
+/**
+ * New failures, fixed failures and duration changes since the previous run
+ */
+function renderChanges(changes) {
+  const list = (title, items) => items.length === 0 ? '' :
+    `<h3>${title} (${items.length})</h3>\n<ul>\n${items.map(item => `<li>${escapeHtml(item)}</li>`).join('\n')}\n</ul>\n`;
+
+  let html = `<h2>Changes since last run <span class="meta">(${escapeHtml(changes.old)})</span></h2>\n`;
+  const sections = list('❌ New failures', changes.introduced.map(f => `[${f.stage}] ${f.description}`)) +
+    list('✅ Fixed', changes.fixed.map(f => `[${f.stage}] ${f.description}`)) +
+    list('⏱️ Duration changes', changes.durations.map(d => `${d.name}: ${d.old.toFixed(2)}s → ${d.new.toFixed(2)}s`));
+
+  html += sections || '<p>No changes in failures or test durations.</p>\n';
+  if (changes.notCompared.length > 0) {
+    html += `<p class="meta">Not compared (skipped in one of the runs): ${escapeHtml(changes.notCompared.join(', '))}</p>\n`;
+  }
+  return html;
+}
+
+/**
+ * Filterable table of every finding
+ */
+function renderFindings(stages, findings, baseUrl, publicDir) {
+  const stageOptions = stages
+    .filter(stage => stage.findings.length > 0)
+    .map(stage => `<option value="${escapeHtml(stage.name)}">${escapeHtml(stage.label)}</option>`)
+    .join('');
+
+  let html = `<h2>Findings</h2>
+<div class="filters">
+<label>Stage <select id="filter-stage"><option value="">All</option>${stageOptions}</select></label>
+<label>Severity <select id="filter-severity"><option value="">All</option><option value="error">Errors</option><option value="warning">Warnings</option></select></label>
+<label>Page <input type="search" id="filter-page" placeholder="/posts/ or public/..."></label>
+<label><input type="checkbox" id="filter-known"> Show known (baseline)</label>
+<span id="filter-count" class="meta"></span>
+</div>
+<table id="findings">
+<thead><tr><th>Stage</th><th>Severity</th><th>Page / file</th><th>Rule</th><th>Message</th></tr></thead>
+<tbody>
+`;
+
+  for (const finding of findings) {
+    const page = finding.url || (finding.file ? fileToPage(finding.file, publicDir) : null);
+    const location = finding.file
+      ? `${finding.file}${finding.line ? `:${finding.line}:${finding.column || 0}` : ''}`
+      : (finding.url || '');
+    const link = page && baseUrl
+      ? ` <a href="${escapeHtml(baseUrl + page)}" target="_blank" rel="noopener">open</a>`
+      : '';
+    const severity = finding.baselined ? `<span class="known">${finding.severity} (known)</span>` : finding.severity;
+
+    html += `<tr data-stage="${escapeHtml(finding.stage)}" data-severity="${finding.severity}" data-page="${escapeHtml(location)}" data-known="${Boolean(finding.baselined)}">
+<td>${escapeHtml(finding.stage)}${finding.project ? ` <span class="meta">${escapeHtml(finding.project)}</span>` : ''}</td><td class="${finding.severity}">${severity}</td>
+<td><code>${escapeHtml(location)}</code>${link}</td>
+<td><code>${escapeHtml(finding.rule || '')}</code></td>
+<td>${escapeHtml(finding.message)}${finding.selector ? `<br><code>${escapeHtml(finding.selector)}</code>` : ''}</td></tr>
+`;
+  }
+
+  return `${html}</tbody>\n</table>\n`;
+}
+
+/**
+ * Playwright suites and tests, with errors and embedded screenshots
+ */
+function renderPlaywright(stage, reportDir) {
+  let html = `<h2>${escapeHtml(stage.label)}</h2>\n`;
+
+  for (const suite of stage.playwright.suites) {
+    html += `<h3>${escapeHtml(suite.suite)}</h3>\n<table>\n<thead><tr><th>Test</th><th>Status</th><th>Duration</th></tr></thead>\n<tbody>\n`;
+    for (const test of suite.tests) {
+      html += `<tr><td>${escapeHtml(test.name)}`;
+      if (test.errors.length > 0 || test.output.length > 0 || test.screenshots) {
+        html += `<details${test.status === 'failed' ? ' open' : ''}><summary>Details</summary>`;
+        for (const error of test.errors) {
+          html += `<p class="error">${escapeHtml(error)}</p>`;
+        }
+        if (test.output.length > 0) {
+          html += `<pre>${escapeHtml(test.output.join('\n'))}</pre>`;
+        }
+        for (const screenshot of test.screenshots || []) {
+          const src = toDataUri(path.resolve(reportDir, screenshot.path));
+          if (src) {
+            html += `<img class="screenshot" alt="${escapeHtml(screenshot.name)}" src="${src}">`;
+          }
+        }
+        html += `</details>`;
+      }
+      html += `</td><td class="${test.status}">${STATUS_ICONS[test.status] || ''} ${test.status}</td><td>${escapeHtml(test.duration)}</td></tr>\n`;
+    }
+    html += `</tbody>\n</table>\n`;
+  }
+
+  return html;
+}
+
+/**
+ * Read an image as a data: URI (null if it can't be read)
+ */
+function toDataUri(file) {
+  const types = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.webp': 'image/webp' };
+  try {
+    const type = types[path.extname(file).toLowerCase()] || 'application/octet-stream';
+    return `data:${type};base64,${fs.readFileSync(file).toString('base64')}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Escape text for HTML content and attributes
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = { renderHtmlReport };
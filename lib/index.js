@@ -1,10 +1,11 @@
-const { loadConfig, getDefaultConfig } = require('./config');
+const { loadConfig, loadConfigAsync, getDefaultConfig } = require('./config');
 const { validate } = require('./validate');
 const { init } = require('./init');
 const { setupHooks } = require('./hooks');
 
 module.exports = {
   loadConfig,
+  loadConfigAsync,
   getDefaultConfig,
   validate,
   init,
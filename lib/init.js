@@ -1,7 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
-const { detectHugoConfig, CONFIG_FILENAME, VALIDATOR_DIR, getDefaultConfig } = require('./config');
+const { detectHugoConfig, findConfigFile, CONFIG_FILENAME, VALIDATOR_DIR, getDefaultConfig } = require('./config');
 const { setupHooks } = require('./hooks');
 
 /**
@@ -28,14 +28,19 @@ async function init(options = {}) {
     console.log('\u26A0\uFE0F  No Hugo config found - using default site URL');
   }
 
-  // 2. Create configuration file
-  const configPath = path.join(validatorDir, CONFIG_FILENAME);
-  if (fs.existsSync(configPath) && !options.force) {
-    console.log(`\u2139\uFE0F  ${VALIDATOR_DIR}/${CONFIG_FILENAME} already exists (use --force to overwrite)`);
+  // 2. Create configuration file (.cjs in ESM packages, where .js files are ES modules)
+  const existingConfig = findConfigFile(projectRoot);
+  const configFilename = existingConfig ? path.basename(existingConfig)
+    : isEsmPackage(projectRoot) ? CONFIG_FILENAME.replace(/\.js$/, '.cjs') : CONFIG_FILENAME;
+  const configPath = path.join(validatorDir, configFilename);
+  if (existingConfig && !options.force) {
+    console.log(`\u2139\uFE0F  ${VALIDATOR_DIR}/${configFilename} already exists (use --force to overwrite)`);
+  } else if (configFilename.endsWith('.json') || configFilename.endsWith('.mjs')) {
+    console.log(`\u2139\uFE0F  ${VALIDATOR_DIR}/${configFilename} exists - not overwriting a ${path.extname(configFilename)} config`);
   } else {
     const configContent = generateConfigFile(hugoConfig?.baseUrl);
     fs.writeFileSync(configPath, configContent);
-    console.log(`\u2705 Created ${VALIDATOR_DIR}/${CONFIG_FILENAME}`);
+    console.log(`\u2705 Created ${VALIDATOR_DIR}/${configFilename}`);
   }
 
   // 3. Set up git hooks
@@ -60,7 +65,7 @@ async function init(options = {}) {
 
   console.log('\n\u2705 hugo-validator initialized successfully!\n');
   console.log('Next steps:');
-  console.log(`  1. Edit ${VALIDATOR_DIR}/${CONFIG_FILENAME} with your site-specific settings`);
+  console.log(`  1. Edit ${VALIDATOR_DIR}/${configFilename} with your site-specific settings`);
   console.log('  2. Run: npx hugo-validator validate');
   console.log('  3. Commit your changes - the pre-commit hook will run automatically\n');
 }
@@ -73,18 +78,28 @@ function generateConfigFile(siteUrl = 'https://example.com') {
 // See: https://github.com/thedavecarroll/hugo-validator
 
 module.exports = {
-  // Required: Your site's URL (used to skip self-referential links)
+  // Required: Your site's URL (links to it are checked as internal links)
   siteUrl: '${siteUrl}',
 
+  // Other hosts that serve the site, also treated as internal links
+  // siteAliases: ['www.example.com'],
+
   // Ports to kill before validation (dev servers that might conflict)
   portsToKill: [1313, 3000],
 
-  // External domains to skip in link checking
-  // Key is domain, value is reason for skipping
-  skipExternalDomains: {
-    // 'challenges.cloudflare.com': 'Cloudflare Turnstile widget',
-    // 'web.archive.org': 'Archive.org rate-limits automated requests',
-  },
+  // Rules for external links, first match wins: skip them, send other headers,
+  // accept statuses, or only warn. Built-in rules (LinkedIn, Stack Overflow, ...) come after these.
+  linkRules: [
+    // { host: 'challenges.cloudflare.com', action: 'skip', reason: 'Cloudflare Turnstile widget' },
+    // { host: ['web.archive.org'], action: 'warn' },
+    // { host: '*.medium.com', acceptStatus: [403] },
+  ],
+
+  // External link checks at once (overall and per host) and retries for timeouts, 5xx and 429
+  // linkCheck: { concurrency: 8, perHostConcurrency: 2, retries: 2 },
+
+  // Days to trust cached external link results, per status class (0 = recheck every run)
+  // linkCache: { ttlDays: { success: 7, redirect: 7, clientError: 1, serverError: 0, error: 0 } },
 
   // CSS validation: glob pattern for SCSS/CSS files
   cssPattern: 'themes/*/assets/scss/**/*.scss',
@@ -92,6 +107,9 @@ module.exports = {
   // Paths to skip in accessibility and link tests
   skipPaths: ['/rss.xml', '/sitemap.xml', '/robots.txt'],
 
+  // Pages that are fine without links from other pages (URL path globs)
+  // orphanAllowlist: ['/thanks/'],
+
   // Responsive testing configuration
   responsive: {
     // CSS selector for your main page wrapper
@@ -117,11 +135,43 @@ module.exports = {
 
   // Report settings
   reportRetention: 8,                    // Number of reports to keep
+  // reportMaxAgeDays: 30,               // Also remove reports older than this
+  // reportMaxSize: '500MB',             // Also cap the total size of reportsDir
   reportFilename: 'VALIDATION-REPORT.md', // Main report filename
   reportsDir: 'hugo-validator/reports',  // Directory for timestamped reports
 
   // Test server settings
   testServerPort: 3000,
+  // testServerCommand: 'npx serve public -l 3000', // Default: built-in server
+  testServer: {
+    notFoundPage: '404.html',            // Custom 404 page, served for missing paths
+    // redirectsFile: 'public/_redirects', // Netlify-style redirects to follow
+  },
+
+  // Pages to test: from sitemap.xml, the HTML files in public/ and/or a crawl from /
+  pageDiscovery: {
+    sources: ['sitemap', 'filesystem'],  // Add 'crawl' to follow links as well
+  },
+
+  // Playwright settings
+  playwright: {
+    browsers: ['chromium'],              // chromium, firefox, webkit
+    // viewports: { chromium: { width: 1440, height: 900 } },
+    // workers: 2,                       // Default: Playwright's choice locally, 1 on CI
+    // retries: 1,                       // Default: 2 on CI, 0 locally
+  },
+
+  // Custom pipeline stages
+  // Each stage needs a name and either a shell command or a run function
+  stages: [
+    // {
+    //   name: 'spelling',
+    //   label: 'Spell Check',
+    //   command: 'npx cspell "content/**/*.md"',
+    //   patterns: ['content/**/*.md'], // Files that trigger a re-run in smart mode
+    //   after: 'html',                 // Position: before/after another stage (default: last)
+    // },
+  ],
 };
 `;
 }
@@ -157,6 +207,17 @@ async function setupLintingConfigs(validatorDir, options) {
   }
 }
 
+/**
+ * Check whether the project's package.json sets "type": "module"
+ */
+function isEsmPackage(projectRoot) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8')).type === 'module';
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Update package.json with validation scripts
  */
@@ -211,43 +272,11 @@ async function setupPlaywrightConfig(validatorDir, options) {
     return;
   }
 
-  const configContent = `import { defineConfig, devices } from '@playwright/test';
-
-const PORT = 3000;
-const BASE_URL = \`http://localhost:\${PORT}\`;
-
-export default defineConfig({
-  testDir: './tests',
-  outputDir: './test-results',
-  fullyParallel: true,
-  forbidOnly: !!process.env.CI,
-  retries: process.env.CI ? 2 : 0,
-  workers: process.env.CI ? 1 : undefined,
-  reporter: [
-    ['list'],
-    ['./tests/summary-reporter.ts'],
-  ],
-  use: {
-    baseURL: BASE_URL,
-    trace: 'off',
-    screenshot: 'off',
-    video: 'off',
-  },
-  projects: [
-    {
-      name: 'chromium',
-      use: { ...devices['Desktop Chrome'] },
-    },
-  ],
-  webServer: {
-    command: \`python3 -m http.server \${PORT} --directory ../public\`,
-    url: BASE_URL,
-    reuseExistingServer: !process.env.CI,
-    timeout: 60000,
-    stdout: 'pipe',
-    stderr: 'pipe',
-  },
-});
+  // Everything is derived from hugo-validator.config.js at runtime; pass Playwright
+  // options to createPlaywrightConfig() to override them
+  const configContent = `import { createPlaywrightConfig } from 'hugo-validator/playwright';
+
+export default createPlaywrightConfig();
 `;
 
   fs.writeFileSync(configPath, configContent);
@@ -299,6 +328,8 @@ async function updateGitignore(projectRoot) {
   const entriesToAdd = [
     'hugo-validator/reports/',
     'hugo-validator/test-results/',
+    'hugo-validator/.pages.json',
+    'hugo-validator/.link-cache.json',
   ];
 
   let content = '';
@@ -0,0 +1,496 @@
+const fs = require('fs');
+const path = require('path');
+const { loadConfigAsync, VALIDATOR_DIR } = require('./config');
+const { loadInventory, getInternalPath, getSiteHosts, collectResources } = require('./pages');
+
+// External link results kept between runs (see linkCache)
+const LINK_CACHE_FILE = path.join(VALIDATOR_DIR, '.link-cache.json');
+const LINK_CACHE_VERSION = 1;
+
+// Results not rechecked for this long are dropped from the cache, whatever their TTL
+const LINK_CACHE_MAX_AGE_DAYS = 90;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Sites that block link checkers, applied after linkRules unless builtinLinkRules is false
+const BUILTIN_LINK_RULES = [
+  { name: 'LinkedIn', host: ['linkedin.com', '*.linkedin.com'], action: 'skip', reason: 'Blocks automated requests (999)' },
+  { name: 'Stack Overflow', host: ['stackoverflow.com', '*.stackoverflow.com'], action: 'skip', reason: 'Blocks automated requests (403)' },
+  { name: 'Stack Exchange', host: ['stackexchange.com', '*.stackexchange.com'], action: 'skip', reason: 'Blocks automated requests (403)' },
+  { name: 'Quora', host: ['quora.com', '*.quora.com'], action: 'skip', reason: 'Blocks automated requests (403)' },
+  { name: '4sysops', host: ['4sysops.com', '*.4sysops.com'], action: 'skip', reason: 'Blocks automated requests (403)' },
+  { name: 'Midjourney docs', host: 'docs.midjourney.com', action: 'skip', reason: 'Blocks automated requests (403)' },
+  { name: 'W3C CSS validator', host: 'jigsaw.w3.org', action: 'skip', reason: 'Requires referrer header (403)' },
+];
+
+// Request errors worth retrying (DNS failures and refused connections aren't)
+const TRANSIENT_ERRORS = /timeout|timed out|ECONNRESET|ETIMEDOUT|EPIPE|EAI_AGAIN|socket hang up/i;
+
+/**
+ * Collect the external links and resources of the pages in an inventory
+ * Links to siteUrl and siteAliases are left out (they're checked against the test server),
+ * and so are links matching a `skip` link rule.
+ * @param {object} inventory - From loadInventory()
+ * @param {object} config - Loaded configuration
+ * @returns {{ links: object[], skipped: object[] }} Links are `{ url, foundOn, rule? }`,
+ *   skipped links `{ url, reason, rule }` (rule is the name of the link rule that applied)
+ * @throws {Error} If a link rule is invalid
+ */
+function collectExternalLinks(inventory, config) {
+  const rules = compileLinkRules(config);
+  const siteHosts = getSiteHosts(config);
+  const references = inventory.pages.map(page => ({ pagePath: page.path, foundOn: page.path, hrefs: page.links }));
+  for (const resource of collectResources(inventory, config).external) {
+    references.push({ pagePath: resource.foundOn, foundOn: `${resource.foundOn} (${resource.element})`, hrefs: [resource.url] });
+  }
+
+  const links = new Map();
+  const skipped = new Map();
+  for (const { pagePath, foundOn, hrefs } of references) {
+    for (const href of hrefs) {
+      if (getInternalPath(href, pagePath, siteHosts)) continue;
+      if (!href.startsWith('http://') && !href.startsWith('https://') && !href.startsWith('//')) continue;
+      const url = href.startsWith('//') ? `https:${href}` : href;
+
+      try {
+        new URL(url);
+      } catch {
+        continue; // Invalid URL
+      }
+
+      const rule = findLinkRule(rules, url);
+      if (rule && rule.action === 'skip') {
+        if (!skipped.has(url)) skipped.set(url, { url, reason: rule.reason || 'Skipped by link rule', rule: rule.label });
+        continue;
+      }
+
+      if (!links.has(url)) links.set(url, rule ? { url, foundOn, rule: rule.label } : { url, foundOn });
+    }
+  }
+
+  return { links: [...links.values()], skipped: [...skipped.values()] };
+}
+
+/**
+ * Check external links, reusing cached results that are still within their TTL (linkCache.ttlDays)
+ * @param {object} request - Playwright APIRequestContext
+ * @param {{ url: string, foundOn: string }[]} links - From collectExternalLinks()
+ * @param {object} config - Loaded configuration
+ * @param {object} [options]
+ * @param {boolean} [options.offline] - Only use cached results (any age); uncached links are 'unchecked'
+ * @param {boolean} [options.refresh] - Recheck every link, ignoring cached results
+ * @returns {Promise<object[]>} Results `{ url, foundOn, status, attempts?, error?, cached?, checkedAt? }`,
+ *   where status is the HTTP status, 'error', 'skipped' (rate limited) or 'unchecked' (offline).
+ *   Links matching a rule also get `rule`, and `accepted` (status in acceptStatus) or `warnOnly`.
+ */
+async function checkExternalLinks(request, links, config, options = {}) {
+  const { enabled, ttlDays } = config.linkCache;
+  const cache = enabled ? loadLinkCache() : { entries: {} };
+  const rules = compileLinkRules(config);
+  const now = Date.now();
+
+  const results = [];
+  const toCheck = [];
+  const requestKeys = new Map(); // url -> request options the result depends on
+  for (const link of links) {
+    const rule = findLinkRule(rules, link.url);
+    const headers = getRuleHeaders(rule);
+    requestKeys.set(link.url, getRequestKey(headers));
+
+    // A result fetched with other headers (e.g. before a rule set a userAgent) doesn't count
+    const cached = cache.entries[link.url];
+    const usable = cached && (cached.request || '') === requestKeys.get(link.url);
+    const fresh = usable && !options.refresh && now - Date.parse(cached.checkedAt) < ttlDays[getStatusClass(cached.status)] * DAY;
+    if (usable && (fresh || options.offline)) {
+      results.push({ ...link, status: cached.status, error: cached.error, cached: true, checkedAt: cached.checkedAt });
+    } else if (options.offline) {
+      results.push({ ...link, status: 'unchecked' });
+    } else {
+      toCheck.push({ ...link, headers, acceptStatus: rule?.acceptStatus || [] });
+    }
+  }
+
+  const checked = await requestLinks(request, toCheck, config.linkCheck);
+  const checkedAt = new Date().toISOString();
+  for (const result of checked) {
+    result.checkedAt = checkedAt;
+    // A rate-limited link wasn't really checked
+    if (result.status !== 'skipped') {
+      const requestKey = requestKeys.get(result.url);
+      cache.entries[result.url] = { status: result.status, error: result.error, checkedAt, ...(requestKey ? { request: requestKey } : {}) };
+    }
+  }
+
+  if (enabled && checked.length > 0) {
+    saveLinkCache(cache);
+  }
+
+  return [...results, ...checked].map(result => applyLinkRule(result, findLinkRule(rules, result.url)));
+}
+
+/**
+ * Request external links with global and per-host concurrency limits (linkCheck)
+ * Timeouts, connection resets, 5xx and 429 responses are retried with exponential backoff;
+ * a Retry-After header holds back every request to that host for as long as it asks.
+ * A host asking for longer than maxRetryAfter is given up on for the rest of the run.
+ * @returns {Promise<object[]>} Results `{ url, foundOn, status, attempts, error? }`
+ */
+async function requestLinks(request, links, options) {
+  const hosts = new Map(); // host -> { active, readyAt, blocked }
+  const getHostState = (host) => {
+    if (!hosts.has(host)) hosts.set(host, { active: 0, readyAt: 0, blocked: null });
+    return hosts.get(host);
+  };
+
+  const pending = links.map(link => ({ ...link, host: getHost(link.url), attempts: 0, readyAt: 0 }));
+  const results = [];
+  let active = 0;
+  let wake = null;
+
+  while (pending.length > 0 || active > 0) {
+    const now = Date.now();
+    const index = active >= options.concurrency ? -1 : pending.findIndex(item => {
+      const host = getHostState(item.host);
+      return host.blocked || (host.active < options.perHostConcurrency && host.readyAt <= now && item.readyAt <= now);
+    });
+
+    if (index === -1) {
+      // Wait for a request to finish, or for the next link or host to come off its backoff
+      const waits = pending
+        .flatMap(item => [item.readyAt, getHostState(item.host).readyAt])
+        .filter(time => time > now);
+      await new Promise((resolve) => {
+        const timer = waits.length > 0 ? setTimeout(resolve, Math.min(...waits) - now) : null;
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      continue;
+    }
+
+    const [item] = pending.splice(index, 1);
+    const host = getHostState(item.host);
+    if (host.blocked) {
+      results.push({ url: item.url, status: 'skipped', foundOn: item.foundOn, attempts: item.attempts, error: host.blocked });
+      continue;
+    }
+
+    active++;
+    host.active++;
+    item.attempts++;
+    requestLink(request, item.url, options, item.headers).then((outcome) => {
+      active--;
+      host.active--;
+      handleOutcome(item, host, outcome);
+      if (wake) wake();
+    });
+  }
+
+  function handleOutcome(item, host, outcome) {
+    const canRetry = item.attempts <= options.retries;
+    // A status the link's rule accepts is final
+    const accepted = item.acceptStatus.includes(outcome.status);
+
+    if (!accepted && (outcome.status === 429 || (outcome.retryAfter !== null && outcome.status === 503))) {
+      const delay = outcome.retryAfter ?? getBackoff(item.attempts, options);
+      if (delay > options.maxRetryAfter * 1000) {
+        if (!host.blocked) {
+          host.blocked = `Rate limited (${outcome.status}), Retry-After ${Math.round(delay / 1000)}s`;
+          console.log(`Rate limited by ${item.host} for ${Math.round(delay / 1000)}s, skipping remaining URLs from this domain`);
+        }
+        results.push({ url: item.url, status: 'skipped', foundOn: item.foundOn, attempts: item.attempts, error: host.blocked });
+        return;
+      }
+      if (canRetry) {
+        console.log(`Rate limited by ${item.host}, waiting ${Math.ceil(delay / 1000)}s`);
+        host.readyAt = Math.max(host.readyAt, Date.now() + delay);
+        pending.unshift(item);
+        return;
+      }
+      results.push({ url: item.url, status: 'skipped', foundOn: item.foundOn, attempts: item.attempts, error: `Rate limited (${outcome.status})` });
+      return;
+    }
+
+    if (outcome.transient && canRetry && !accepted) {
+      item.readyAt = Date.now() + getBackoff(item.attempts, options);
+      pending.push(item);
+      return;
+    }
+
+    const result = { url: item.url, status: outcome.status, foundOn: item.foundOn, attempts: item.attempts };
+    if (outcome.error) result.error = outcome.error;
+    results.push(result);
+  }
+
+  // Keep the order the links were found in
+  const order = new Map(links.map((link, i) => [link.url, i]));
+  return results.sort((a, b) => order.get(a.url) - order.get(b.url));
+}
+
+/**
+ * Request a link once
+ * HEAD first, then GET for statuses that often mean the site doesn't support HEAD or blocks bots
+ * (never straight after a rate limit).
+ * @param {object} [headers] - Extra request headers from the link's rule
+ * @returns {Promise<{ status: number|'error', error?: string, retryAfter: number|null, transient: boolean }>}
+ *   retryAfter in ms; transient if the request is worth retrying
+ */
+async function requestLink(request, url, options, headers) {
+  const requestOptions = { timeout: options.timeout, ignoreHTTPSErrors: true, headers };
+  try {
+    let response = await request.head(url, requestOptions);
+
+    // Try GET if HEAD fails - many sites block HEAD but allow GET
+    // 405/501 = HEAD not supported, 403/404/999 = often bot blocking. 429 and 503 are left to
+    // the scheduler, which waits for Retry-After or the backoff before asking the host again.
+    if ([405, 501, 403, 404, 999].includes(response.status())) {
+      try {
+        response = await request.get(url, requestOptions);
+      } catch {
+        // GET also failed, keep original HEAD status
+      }
+    }
+
+    const status = response.status();
+    return {
+      status,
+      retryAfter: parseRetryAfter(response.headers()['retry-after']),
+      transient: status >= 500 && status < 600,
+    };
+  } catch (error) {
+    // First line only - Playwright appends a call log
+    const message = error instanceof Error ? error.message.split('\n')[0] : 'Unknown error';
+    return { status: 'error', error: message, retryAfter: null, transient: TRANSIENT_ERRORS.test(message) };
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @returns {number|null} Delay in ms, or null if there's no usable header
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Get the delay before retry number `attempt` (retryDelay, doubled for each further retry)
+ */
+function getBackoff(attempt, options) {
+  return options.retryDelay * 2 ** (attempt - 1);
+}
+
+/**
+ * Get the lowercase host name of a URL (no port)
+ */
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Get the host of a URL (the URL itself if it can't be parsed, so it gets its own queue)
+ */
+function getHost(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Check if a link result counts as broken (4xx/5xx or no response; redirects are fine)
+ * Statuses in the link rule's acceptStatus aren't broken; warn-only results still are.
+ */
+function isBrokenLink(result) {
+  if (result.accepted) return false;
+  return result.status === 'error' || (typeof result.status === 'number' && result.status >= 400);
+}
+
+/**
+ * Compile the link rules: linkRules, then skipExternalDomains, then the built-in rules
+ * The first rule that matches a URL applies. A rule matches by `host` (exact, or with `*`
+ * wildcards, e.g. `*.example.com`; a list matches any of them) and/or a `url` regular expression.
+ * @param {object} config - Loaded configuration
+ * @returns {object[]} Rules with `label` and `matches(url)`
+ * @throws {Error} If a rule has nothing to match on, or an invalid regular expression
+ */
+function compileLinkRules(config) {
+  // skipExternalDomains predates linkRules; each domain covers its subdomains
+  const legacy = Object.entries(config.skipExternalDomains).map(([domain, reason]) => ({
+    name: `skipExternalDomains ${domain}`,
+    host: [domain, `*.${domain}`],
+    action: 'skip',
+    reason,
+  }));
+  const rules = [...config.linkRules, ...legacy, ...(config.builtinLinkRules ? BUILTIN_LINK_RULES : [])];
+
+  return rules.map((rule, index) => {
+    const where = index < config.linkRules.length ? `linkRules[${index}]` : rule.name;
+    if (!rule.host && !rule.url) {
+      throw new Error(`${where} needs a host or url to match`);
+    }
+
+    const hosts = [].concat(rule.host || []).map(host =>
+      new RegExp(`^${host.toLowerCase().split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`));
+    let pattern = null;
+    if (rule.url) {
+      try {
+        pattern = rule.url instanceof RegExp ? rule.url : new RegExp(rule.url);
+      } catch (error) {
+        throw new Error(`${where}.url is not a valid regular expression: ${error.message}`);
+      }
+    }
+
+    return {
+      ...rule,
+      action: rule.action || 'check',
+      label: rule.name || [rule.host && `host ${[].concat(rule.host).join(', ')}`, rule.url && `url ${pattern}`].filter(Boolean).join(' '),
+      matches(url) {
+        if (hosts.length > 0 && !hosts.some(host => host.test(getHostname(url)))) return false;
+        return !pattern || pattern.test(url);
+      },
+    };
+  });
+}
+
+/**
+ * Find the first rule that matches a URL
+ * @returns {object|null}
+ */
+function findLinkRule(rules, url) {
+  return rules.find(rule => rule.matches(url)) || null;
+}
+
+/**
+ * Get the extra request headers of a rule (headers, plus userAgent as User-Agent)
+ */
+function getRuleHeaders(rule) {
+  if (!rule || (!rule.headers && !rule.userAgent)) return undefined;
+  return { ...rule.headers, ...(rule.userAgent ? { 'User-Agent': rule.userAgent } : {}) };
+}
+
+/**
+ * Describe the request options a link rule adds, so cached results can be matched to them
+ * @returns {string} Empty for a plain request
+ */
+function getRequestKey(headers) {
+  if (!headers) return '';
+  const sorted = Object.entries(headers)
+    .map(([name, value]) => [name.toLowerCase(), value])
+    .sort(([a], [b]) => a.localeCompare(b));
+  return JSON.stringify(sorted);
+}
+
+/**
+ * Record the rule that applied to a result, and what it changes
+ */
+function applyLinkRule(result, rule) {
+  if (!rule) return result;
+  const applied = { ...result, rule: rule.label };
+  if (rule.acceptStatus && rule.acceptStatus.includes(result.status)) applied.accepted = true;
+  if (rule.action === 'warn') applied.warnOnly = true;
+  return applied;
+}
+
+/**
+ * Get the linkCache.ttlDays key for a status
+ */
+function getStatusClass(status) {
+  if (typeof status !== 'number') return 'error';
+  if (status >= 500 && status < 600) return 'serverError';
+  if (status >= 400) return 'clientError';
+  if (status >= 300) return 'redirect';
+  return 'success';
+}
+
+/**
+ * Load the external link cache
+ * @returns {{ version: number, entries: object }} Entries are url -> `{ status, error?, checkedAt, request? }`,
+ *   where request describes the rule headers the link was checked with
+ */
+function loadLinkCache(file = LINK_CACHE_FILE) {
+  try {
+    const cache = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (cache.version === LINK_CACHE_VERSION) return cache;
+  } catch {
+    // Missing or unreadable - start over
+  }
+  return { version: LINK_CACHE_VERSION, entries: {} };
+}
+
+/**
+ * Save the external link cache, dropping results that are too old to be of use
+ */
+function saveLinkCache(cache, file = LINK_CACHE_FILE) {
+  const cutoff = Date.now() - LINK_CACHE_MAX_AGE_DAYS * DAY;
+  const entries = Object.fromEntries(Object.entries(cache.entries)
+    .filter(([, entry]) => Date.parse(entry.checkedAt) >= cutoff)
+    .sort(([a], [b]) => a.localeCompare(b)));
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ version: LINK_CACHE_VERSION, entries }, null, 2) + '\n');
+  } catch (e) {
+    console.warn('Warning: Could not save link cache:', e.message);
+  }
+}
+
+/**
+ * CLI: recheck every external link of the last test run's pages and update the cache
+ * @returns {Promise<number>} Exit code (1 if any link is broken)
+ */
+async function linksRefresh() {
+  const config = await loadConfigAsync();
+  if (!config.linkCache.enabled) {
+    console.warn('⚠️  linkCache.enabled is false - results are checked but not saved');
+  }
+
+  const { links, skipped } = collectExternalLinks(loadInventory(), config);
+  console.log(`🔗 Rechecking ${links.length} external links from the last test run (${skipped.length} skipped by link rules)...`);
+
+  const { request, devices } = require('@playwright/test');
+  const context = await request.newContext({ userAgent: devices['Desktop Chrome'].userAgent });
+  let results;
+  try {
+    results = await checkExternalLinks(context, links, config, { refresh: true });
+  } finally {
+    await context.dispose();
+  }
+
+  const broken = results.filter(result => isBrokenLink(result) && !result.warnOnly);
+  const warnings = results.filter(result => isBrokenLink(result) && result.warnOnly);
+  const rateLimited = results.filter(result => result.status === 'skipped');
+  for (const result of [...broken, ...warnings]) {
+    const icon = result.warnOnly ? '⚠️ ' : '❌';
+    console.log(`  ${icon} ${result.url} (status: ${result.status}${result.error ? `, error: ${result.error}` : ''}${result.attempts > 1 ? `, ${result.attempts} attempts` : ''}${result.rule ? `, rule: ${result.rule}` : ''}) - found on: ${result.foundOn}`);
+  }
+  for (const result of rateLimited) {
+    console.log(`  ⏭️  ${result.url} (${result.error})`);
+  }
+
+  const retried = results.filter(result => result.attempts > 1).length;
+  console.log(`\n${broken.length === 0 ? '✅' : '❌'} ${results.length - broken.length - warnings.length - rateLimited.length} reachable, ${broken.length} broken${warnings.length > 0 ? `, ${warnings.length} warnings` : ''}${rateLimited.length > 0 ? `, ${rateLimited.length} not checked (rate limited)` : ''}${retried > 0 ? ` - ${retried} needed retries` : ''}`);
+  if (config.linkCache.enabled) {
+    console.log(`   Results saved to ${LINK_CACHE_FILE}`);
+  }
+  return broken.length > 0 ? 1 : 0;
+}
+
+module.exports = {
+  LINK_CACHE_FILE,
+  BUILTIN_LINK_RULES,
+  collectExternalLinks,
+  checkExternalLinks,
+  isBrokenLink,
+  compileLinkRules,
+  loadLinkCache,
+  linksRefresh,
+};
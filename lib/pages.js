@@ -0,0 +1,488 @@
+const fs = require('fs');
+const path = require('path');
+const { VALIDATOR_DIR } = require('./config');
+const { findFiles, matchesAny } = require('./files');
+const { fileToPage } = require('./staged');
+const { readAliasTarget } = require('./server');
+
+// Page inventory shared by the Playwright specs, rewritten at the start of every test run
+const PAGES_FILE = path.join(VALIDATOR_DIR, '.pages.json');
+
+// Stand-in origin for resolving relative links (never requested)
+const LOCAL_ORIGIN = 'http://hugo-validator.invalid';
+
+// Pages fetched at once while building the inventory
+const FETCH_CONCURRENCY = 8;
+const FETCH_TIMEOUT = 10000;
+
+/**
+ * Build the page inventory: every page from the configured sources, with its status and links
+ * Each page is fetched once from the test server; with the crawl source, internal links
+ * found on those pages are followed too.
+ * @param {object} config - Loaded configuration
+ * @param {string} baseUrl - Test server URL
+ * @returns {Promise<{ generated: string, sources: string[], pages: object[] }>} Inventory; pages are
+ *   `{ path, sources, status, contentType, links, anchors, resources }`, sorted by path
+ */
+async function discoverPages(config, baseUrl) {
+  const { sources, maxPages } = config.pageDiscovery;
+  const siteHosts = getSiteHosts(config);
+  const pages = new Map();
+
+  const addPage = (pagePath, source) => {
+    if (!pages.has(pagePath)) {
+      if (pages.size >= maxPages) return;
+      pages.set(pagePath, { path: pagePath, sources: [], status: null, contentType: null, links: [], anchors: [], resources: [] });
+    }
+    const page = pages.get(pagePath);
+    if (!page.sources.includes(source)) page.sources.push(source);
+  };
+
+  if (sources.includes('sitemap')) {
+    for (const pagePath of readSitemap(config)) addPage(pagePath, 'sitemap');
+  }
+  if (sources.includes('filesystem')) {
+    for (const pagePath of listHtmlPages(config)) addPage(pagePath, 'filesystem');
+  }
+  if (sources.includes('crawl')) {
+    addPage('/', 'crawl');
+  }
+
+  // Fetch pages in batches; with crawl, newly found pages join the queue
+  const fetched = new Set();
+  let queue = [...pages.keys()];
+  while (queue.length > 0) {
+    const batch = queue.splice(0, FETCH_CONCURRENCY);
+    await Promise.all(batch.map(async (pagePath) => {
+      fetched.add(pagePath);
+      const page = pages.get(pagePath);
+      Object.assign(page, await fetchPage(baseUrl, pagePath));
+
+      if (sources.includes('crawl')) {
+        for (const href of page.links) {
+          const target = getInternalPath(href, pagePath, siteHosts);
+          if (!target) continue;
+          // Pages the sitemap or filesystem already listed are still reachable by crawl
+          addPage(target, 'crawl');
+          if (pages.has(target) && !fetched.has(target) && !queue.includes(target)) {
+            queue.push(target);
+          }
+        }
+      }
+    }));
+    queue = queue.filter(pagePath => !fetched.has(pagePath));
+  }
+
+  return {
+    generated: new Date().toISOString(),
+    sources,
+    pages: [...pages.values()].sort((a, b) => a.path.localeCompare(b.path)),
+  };
+}
+
+/**
+ * Fetch a page and collect its links, link targets and resources
+ * @returns {Promise<{ status: number|'error', contentType: string|null, links: string[], anchors: string[], resources: object[] }>}
+ */
+async function fetchPage(baseUrl, pagePath) {
+  try {
+    const response = await fetch(`${baseUrl}${pagePath}`, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase() || null;
+    if (!response.ok || contentType !== 'text/html') {
+      return { status: response.status, contentType, links: [], anchors: [], resources: [] };
+    }
+    const html = await response.text();
+    return { status: response.status, contentType, links: extractLinks(html), anchors: extractAnchors(html), resources: extractResources(html) };
+  } catch {
+    return { status: 'error', contentType: null, links: [], anchors: [], resources: [] };
+  }
+}
+
+/**
+ * Check whether an inventory entry is an HTML page that loaded
+ * (crawling also records linked feeds, PDFs and images, which the page specs skip)
+ */
+function isHtmlPage(page) {
+  return page.status === 200 && page.contentType === 'text/html';
+}
+
+/**
+ * Read page paths from the sitemap (following a sitemap index to the sitemaps it lists)
+ * @returns {string[]} Empty if the site has no sitemap
+ */
+function readSitemap(config, file = path.join(config.testServer.publicDir, 'sitemap.xml'), seen = new Set()) {
+  if (seen.has(file) || !fs.existsSync(file)) return [];
+  seen.add(file);
+
+  const xml = fs.readFileSync(file, 'utf8');
+  const locations = [...xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/g)].map(match => decodeEntities(match[1]));
+
+  if (/<sitemapindex[\s>]/.test(xml)) {
+    // Hugo's multilingual index points at one sitemap per language
+    return locations.flatMap(location => {
+      const pagePath = toPagePath(location);
+      return pagePath ? readSitemap(config, path.join(config.testServer.publicDir, pagePath), seen) : [];
+    });
+  }
+
+  return locations.map(toPagePath).filter(Boolean);
+}
+
+/**
+ * List pages from the HTML files in the built site that match pageDiscovery.filesystemPattern
+ * Skips the 404 page and Hugo alias pages, which only redirect.
+ */
+function listHtmlPages(config) {
+  const { publicDir, notFoundPage } = config.testServer;
+  const notFoundFile = notFoundPage ? path.posix.join(publicDir, notFoundPage) : null;
+
+  return findFiles([path.posix.join(publicDir, config.pageDiscovery.filesystemPattern)])
+    .filter(file => file !== notFoundFile && !readAliasTarget(file, null))
+    .map(file => fileToPage(file, publicDir));
+}
+
+/**
+ * Turn a sitemap URL into a URL path
+ * @returns {string|null}
+ */
+function toPagePath(location) {
+  try {
+    return decodeURI(new URL(location).pathname);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Collect link targets from a page's HTML
+ * mailto:, tel: and javascript: links are left out, as are `#` and `#top`, which
+ * browsers treat as the top of the page.
+ * @returns {string[]} Unique hrefs in document order
+ */
+function extractLinks(html) {
+  const links = new Set();
+  for (const match of html.matchAll(/<a\s[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi)) {
+    const href = decodeEntities((match[1] ?? match[2] ?? match[3]).trim());
+    if (!href || /^(mailto:|tel:|javascript:)/i.test(href) || /^#(top)?$/i.test(href)) continue;
+    links.add(href);
+  }
+  return [...links];
+}
+
+/**
+ * Collect the fragment targets of a page: every id, and the name of <a> elements
+ * @returns {string[]} Unique ids and names
+ */
+function extractAnchors(html) {
+  const anchors = new Set();
+  for (const match of html.matchAll(/<[a-z][^>]*?\sid\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi)) {
+    anchors.add(decodeEntities(match[1] ?? match[2] ?? match[3]));
+  }
+  for (const match of html.matchAll(/<a\s[^>]*?\bname\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi)) {
+    anchors.add(decodeEntities(match[1] ?? match[2] ?? match[3]));
+  }
+  return [...anchors];
+}
+
+/**
+ * Collect everything a page loads or advertises: images (src and every srcset candidate),
+ * media, stylesheets, icons, preloads, scripts, and og:image/twitter:image URLs
+ * @returns {{ element: string, url: string }[]} Unique resources; element is e.g. `img[src]` or `link[rel=icon]`
+ */
+function extractResources(html) {
+  const resources = new Map();
+  const add = (element, url) => {
+    url = url && url.trim();
+    if (!url || url.startsWith('data:') || url.startsWith('#')) return;
+    resources.set(`${element} ${url}`, { element, url });
+  };
+
+  // Markup inside comments and inline scripts isn't loaded
+  const markup = html.replace(/<!--[\s\S]*?-->/g, '').replace(/(<script\b[^>]*>)[\s\S]*?<\/script>/gi, '$1');
+
+  for (const match of markup.matchAll(/<(img|source|video|audio|link|script|meta)\b([^>]*)>/gi)) {
+    const tag = match[1].toLowerCase();
+    const attributes = parseAttributes(match[2]);
+
+    if (tag === 'link') {
+      const rel = (attributes.rel || '').toLowerCase().split(/\s+/).find(value => RESOURCE_RELS.includes(value));
+      if (rel) add(`link[rel=${rel}]`, attributes.href);
+    } else if (tag === 'meta') {
+      const property = (attributes.property || attributes.name || '').toLowerCase();
+      if (RESOURCE_META.includes(property)) add(`meta[${property}]`, attributes.content);
+    } else {
+      add(`${tag}[src]`, attributes.src);
+      if (tag === 'video') add('video[poster]', attributes.poster);
+      for (const candidate of parseSrcset(attributes.srcset)) {
+        add(`${tag}[srcset]`, candidate);
+      }
+    }
+  }
+
+  return [...resources.values()];
+}
+
+// link rel values that load something
+const RESOURCE_RELS = ['stylesheet', 'icon', 'apple-touch-icon', 'mask-icon', 'manifest', 'preload', 'modulepreload'];
+
+// Social card images
+const RESOURCE_META = ['og:image', 'og:image:url', 'og:image:secure_url', 'twitter:image', 'twitter:image:src'];
+
+/**
+ * Parse the attributes of a tag
+ * @returns {object} Lowercase name -> decoded value
+ */
+function parseAttributes(text) {
+  const attributes = {};
+  for (const match of text.matchAll(/([^\s"'=<>\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+/**
+ * Get the URLs of a srcset attribute
+ */
+function parseSrcset(srcset) {
+  const urls = [];
+  // Candidates are "url [descriptor]" separated by commas; URLs can contain commas themselves
+  let rest = srcset || '';
+  while (rest) {
+    rest = rest.replace(/^[\s,]+/, '');
+    const url = rest.match(/^\S+/)?.[0];
+    if (!url) break;
+    rest = rest.slice(url.length);
+    if (url.endsWith(',')) {
+      urls.push(url.replace(/,+$/, ''));
+      continue;
+    }
+    urls.push(url);
+    const comma = rest.indexOf(',');
+    rest = comma === -1 ? '' : rest.slice(comma + 1);
+  }
+  return urls;
+}
+
+/**
+ * Sort the resources of this run's pages into local and external ones, and find mixed content
+ * Resources on the site's own hosts are internal, like links (see getInternalPath()).
+ * @param {object} inventory - From loadInventory()
+ * @param {object} config - Loaded configuration; http:// resources are mixed content on an https siteUrl
+ * @returns {{ internal: object[], external: object[], mixedContent: object[] }} Entries are
+ *   `{ url, element, foundOn }`, plus `path` (the local URL path) for internal ones
+ */
+function collectResources(inventory, config) {
+  const httpsSite = config.siteUrl.startsWith('https:');
+  const siteHosts = getSiteHosts(config);
+  const collected = { internal: [], external: [], mixedContent: [] };
+
+  // Browsers request /favicon.ico for pages that don't declare an icon (checked once, not per page)
+  const withoutIcon = inventory.pages.filter(page =>
+    isHtmlPage(page) && !(page.resources || []).some(resource => resource.element === 'link[rel=icon]'));
+  if (withoutIcon.length > 0) {
+    collected.internal.push({ url: '/favicon.ico', element: 'favicon', foundOn: `${withoutIcon.length} pages without an icon link`, path: '/favicon.ico' });
+  }
+
+  for (const page of inventory.pages) {
+    for (const { element, url } of page.resources || []) {
+      const entry = { url, element, foundOn: page.path };
+
+      // Social images are fetched by crawlers, not loaded by the browser
+      if (httpsSite && /^http:\/\//i.test(url) && !element.startsWith('meta[')) {
+        collected.mixedContent.push(entry);
+      }
+
+      const internalPath = getInternalPath(url, page.path, siteHosts);
+      if (internalPath) {
+        collected.internal.push({ ...entry, path: internalPath });
+      } else if (/^https?:\/\//i.test(url) || url.startsWith('//')) {
+        collected.external.push({ ...entry, url: url.startsWith('//') ? `https:${url}` : url });
+      }
+      // Anything else (blob:, about: and the like) isn't fetched
+    }
+  }
+
+  return collected;
+}
+
+/**
+ * Get the path an internal link points to
+ * Links are resolved against the page they're on, so `../other/`, `?page=2` and `#id` count too.
+ * Absolute links to the site's own hosts (siteUrl, siteAliases) are internal, on either scheme.
+ * @param {string} href - Link target as written in the page
+ * @param {string} pagePath - URL path of the page the link is on
+ * @param {string[]} siteHosts - From getSiteHosts()
+ * @returns {string|null} Path and query without the fragment, or null for external links
+ */
+function getInternalPath(href, pagePath, siteHosts) {
+  let url;
+  try {
+    url = new URL(href, `${LOCAL_ORIGIN}${pagePath}`);
+  } catch {
+    return null;
+  }
+  const internal = url.origin === LOCAL_ORIGIN ||
+    (['http:', 'https:'].includes(url.protocol) && siteHosts.includes(url.host));
+  return internal ? url.pathname + url.search : null;
+}
+
+/**
+ * Get the hosts (host:port) the production site is served from
+ * @param {object} config - Loaded configuration
+ * @returns {string[]} Lowercase hosts of siteUrl and siteAliases
+ */
+function getSiteHosts(config) {
+  return [config.siteUrl, ...config.siteAliases]
+    .map(site => {
+      try {
+        return new URL(site.includes('://') ? site : `https://${site}`).host;
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Get the fragment of a link, decoded
+ * @returns {string|null} Null if the link has no fragment, or it's a text fragment (#:~:text=)
+ */
+function getFragment(href) {
+  const index = href.indexOf('#');
+  if (index === -1) return null;
+  const fragment = href.slice(index + 1);
+  if (!fragment || fragment.startsWith(':~:')) return null;
+  try {
+    return decodeURIComponent(fragment);
+  } catch {
+    return fragment;
+  }
+}
+
+/**
+ * Find links to fragments that don't exist on the target page
+ * Checks `#id` links against the page they're on and `/path#id` (or relative and
+ * self-link) links against the page they point to; targets that aren't in the inventory are fetched.
+ * @param {object} inventory - From loadInventory()
+ * @param {object} config - Loaded configuration
+ * @param {string} baseUrl - Test server URL
+ * @returns {Promise<{ href: string, target: string, fragment: string, foundOn: string }[]>}
+ */
+async function findBrokenAnchors(inventory, config, baseUrl) {
+  const siteHosts = getSiteHosts(config);
+  const anchorsByKey = new Map();
+  for (const page of inventory.pages) {
+    if (page.status === 200) anchorsByKey.set(getPageKey(page.path), new Set(page.anchors));
+  }
+
+  const broken = [];
+  for (const page of inventory.pages) {
+    for (const href of page.links) {
+      const fragment = getFragment(href);
+      if (fragment === null) continue;
+
+      const target = getInternalPath(href, page.path, siteHosts);
+      if (target === null) continue;
+
+      const key = getPageKey(target);
+      if (!anchorsByKey.has(key)) {
+        // Not a page in the inventory (or it didn't load) - the link test reports missing pages
+        const fetched = await fetchPage(baseUrl, target);
+        anchorsByKey.set(key, fetched.status === 200 ? new Set(fetched.anchors) : null);
+      }
+
+      const anchors = anchorsByKey.get(key);
+      if (anchors && !anchors.has(fragment)) {
+        broken.push({ href, target, fragment, foundOn: page.path });
+      }
+    }
+  }
+  return broken;
+}
+
+/**
+ * Find pages in the build that no other page links to
+ * Only pages from the sitemap and filesystem sources can be orphans (crawled pages were
+ * reached through a link). The home page, skipPaths and orphanAllowlist are left out.
+ * @param {object} inventory - From loadInventory()
+ * @param {object} config - Loaded configuration
+ * @returns {object[]} Orphaned inventory pages
+ */
+function findOrphans(inventory, config) {
+  const siteHosts = getSiteHosts(config);
+  const linked = new Set();
+  for (const page of inventory.pages) {
+    const self = getPageKey(page.path);
+    for (const href of page.links) {
+      const target = getInternalPath(href, page.path, siteHosts);
+      if (target && getPageKey(target) !== self) linked.add(getPageKey(target));
+    }
+  }
+
+  return inventory.pages.filter(page =>
+    isHtmlPage(page) &&
+    page.path !== '/' &&
+    page.sources.some(source => source !== 'crawl') &&
+    !linked.has(getPageKey(page.path)) &&
+    !config.skipPaths.some(skip => page.path.endsWith(skip)) &&
+    !matchesAny(page.path, config.orphanAllowlist));
+}
+
+/**
+ * Key that's the same for every way of writing a page's URL
+ * (/posts/a/, /posts/a, /posts/a/index.html; /about.html and /about)
+ */
+function getPageKey(pagePath) {
+  let key = pagePath.split(/[?#]/)[0];
+  try {
+    key = decodeURI(key);
+  } catch {}
+  return key.replace(/(index)?\.html$/, '').replace(/\/+$/, '') || '/';
+}
+
+/**
+ * Decode the entities that show up in URLs
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&amp;/g, '&')
+    .replace(/&#x2f;/gi, '/')
+    .replace(/&#47;/g, '/');
+}
+
+/**
+ * Write the page inventory for the specs
+ * @returns {string} Path of the written file
+ */
+function writeInventory(inventory, file = PAGES_FILE) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(inventory, null, 2));
+  return file;
+}
+
+/**
+ * Load the page inventory written for this test run
+ * @throws {Error} If discovery hasn't run (the Playwright config doesn't use createPlaywrightConfig())
+ */
+function loadInventory(file = PAGES_FILE) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`${file} not found - page discovery runs as Playwright global setup from createPlaywrightConfig()`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = {
+  PAGES_FILE,
+  discoverPages,
+  extractLinks,
+  extractAnchors,
+  extractResources,
+  collectResources,
+  isHtmlPage,
+  getInternalPath,
+  getSiteHosts,
+  findOrphans,
+  findBrokenAnchors,
+  writeInventory,
+  loadInventory,
+};
@@ -0,0 +1,20 @@
+const { loadConfig } = require('./playwright');
+const { discoverPages, writeInventory } = require('./pages');
+
+/**
+ * Playwright global setup: build the page inventory once for all specs
+ * Runs after the web server is up (see createPlaywrightConfig()).
+ */
+module.exports = async function globalSetup() {
+  const config = loadConfig();
+  const inventory = await discoverPages(config, `http://localhost:${config.testServerPort}`);
+  const file = writeInventory(inventory);
+
+  const counts = inventory.sources
+    .map(source => `${source}: ${inventory.pages.filter(page => page.sources.includes(source)).length}`)
+    .join(', ');
+  console.log(`Found ${inventory.pages.length} pages (${counts}), written to ${file}`);
+  if (inventory.pages.length >= config.pageDiscovery.maxPages) {
+    console.warn(`Warning: stopped at pageDiscovery.maxPages (${config.pageDiscovery.maxPages}) - some pages are not tested`);
+  }
+};
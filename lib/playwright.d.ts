@@ -0,0 +1,284 @@
+import type { APIRequestContext, PlaywrightTestConfig } from '@playwright/test';
+
+export type PlaywrightBrowser = 'chromium' | 'firefox' | 'webkit';
+
+export type PageSource = 'sitemap' | 'filesystem' | 'crawl';
+
+/**
+ * Resolved hugo-validator configuration (defaults merged with hugo-validator.config.*)
+ * See DOCUMENTATION.md for what each option does.
+ */
+export interface HugoValidatorConfig {
+  siteUrl: string;
+  siteAliases: string[];
+  portsToKill: number[];
+  linkRules: LinkRule[];
+  builtinLinkRules: boolean;
+  /** @deprecated Use linkRules */
+  skipExternalDomains: Record<string, string>;
+  linkCheck: {
+    concurrency: number;
+    perHostConcurrency: number;
+    timeout: number;
+    retries: number;
+    retryDelay: number;
+    maxRetryAfter: number;
+  };
+  linkCache: {
+    enabled: boolean;
+    ttlDays: {
+      success: number;
+      redirect: number;
+      clientError: number;
+      serverError: number;
+      error: number;
+    };
+  };
+  cssPattern: string;
+  htmlValidation: {
+    pattern: string;
+    exclude: string[];
+  };
+  skipPaths: string[];
+  orphanAllowlist: string[];
+  responsive: {
+    wrapperSelector: string;
+    spotCheckPages: string[];
+  };
+  interaction: {
+    navSelector: string;
+    touchTargetSelectors: string[];
+  };
+  generateReport: boolean;
+  reportRetention: number;
+  reportMaxAgeDays: number | null;
+  reportMaxSize: number | string | null;
+  reportFilename: string;
+  reportsDir: string;
+  baselineFile: string;
+  testServerPort: number;
+  testServerCommand: string | null;
+  testServer: {
+    publicDir: string;
+    trailingSlash: boolean;
+    notFoundPage: string | null;
+    redirectsFile: string | null;
+    aliases: boolean;
+  };
+  pageDiscovery: {
+    sources: PageSource[];
+    filesystemPattern: string;
+    maxPages: number;
+  };
+  playwright: {
+    browsers: PlaywrightBrowser[];
+    viewports: Partial<Record<PlaywrightBrowser, { width: number; height: number }>>;
+    workers: number | string | null;
+    retries: number | null;
+  };
+  stages: HugoValidatorStage[];
+  concurrency: number;
+}
+
+/** Rule for external links; the first rule that matches a link applies */
+export interface LinkRule {
+  name?: string;
+  /** Host or hosts to match, exactly or with `*` wildcards (`*.example.com`) */
+  host?: string | string[];
+  /** Regular expression the whole URL must match */
+  url?: string | RegExp;
+  /** check (default), skip, or warn - check, but don't fail on a broken link */
+  action?: 'check' | 'skip' | 'warn';
+  /** Why the links are skipped (shown in the test output) */
+  reason?: string;
+  userAgent?: string;
+  headers?: Record<string, string>;
+  /** Statuses that count as reachable, e.g. [403] for a site that blocks bots */
+  acceptStatus?: number[];
+}
+
+export interface HugoValidatorStage {
+  name: string;
+  label?: string;
+  command?: string;
+  run?: (ctx: unknown) => unknown;
+  patterns?: string[];
+  configFiles?: string[];
+  before?: string;
+  after?: string;
+  dependsOn?: string[];
+}
+
+export interface LoadConfigOptions {
+  /** Project root directory (defaults to cwd) */
+  projectRoot?: string;
+  /** Config file to use instead of searching (defaults to $HUGO_VALIDATOR_CONFIG) */
+  configPath?: string;
+  /** Profile to apply (defaults to $HUGO_VALIDATOR_PROFILE) */
+  profile?: string;
+}
+
+/**
+ * Load the resolved configuration, the same way the CLI does
+ * @throws If the config file can't be loaded or fails schema validation
+ */
+export function loadConfig(options?: LoadConfigOptions): HugoValidatorConfig;
+
+/** A page in the inventory built at the start of each test run */
+export interface InventoryPage {
+  /** URL path, e.g. /posts/hello/ */
+  path: string;
+  /** Sources that listed the page */
+  sources: PageSource[];
+  /** HTTP status from the test server (after redirects) */
+  status: number | 'error';
+  /** MIME type of the response, e.g. text/html (null if the request failed) */
+  contentType: string | null;
+  /** Link targets as written in the page (no mailto:, tel: or javascript: links, or # and #top) */
+  links: string[];
+  /** Fragment targets on the page: ids, and names of <a> elements */
+  anchors: string[];
+  /** Images, media, stylesheets, icons, scripts and social images the page references */
+  resources: PageResource[];
+}
+
+export interface PageResource {
+  /** Element and attribute, e.g. img[src], img[srcset], link[rel=stylesheet], meta[og:image] */
+  element: string;
+  /** URL as written */
+  url: string;
+}
+
+export interface PageInventory {
+  generated: string;
+  sources: PageSource[];
+  pages: InventoryPage[];
+}
+
+/**
+ * URL paths of the HTML pages in this run's inventory that returned 200
+ * @throws If page discovery hasn't run
+ */
+export function getPages(): string[];
+
+/**
+ * The page inventory written at the start of this test run
+ * @throws If page discovery hasn't run
+ */
+export function loadInventory(): PageInventory;
+
+/**
+ * Path and query an internal link points to, without the fragment (null for external links)
+ * Relative links are resolved against pagePath (default `/`); absolute links to siteUrl
+ * and siteAliases are internal.
+ */
+export function getInternalPath(href: string, pagePath?: string): string | null;
+
+/**
+ * Pages in this run's inventory that no other page links to (skipPaths and orphanAllowlist left out)
+ * @throws If page discovery hasn't run
+ */
+export function findOrphanPages(): InventoryPage[];
+
+export interface BrokenAnchorLink {
+  /** Link as written */
+  href: string;
+  /** Path of the page the link points to */
+  target: string;
+  /** Decoded fragment that wasn't found */
+  fragment: string;
+  /** Page the link is on */
+  foundOn: string;
+}
+
+/**
+ * `#id` and `/path#id` links whose fragment doesn't exist on the target page
+ * @param baseUrl Test server URL, for targets that aren't in the inventory
+ */
+export function findBrokenAnchorLinks(baseUrl: string): Promise<BrokenAnchorLink[]>;
+
+export interface ResourceReference extends PageResource {
+  /** Page the resource is referenced on */
+  foundOn: string;
+  /** URL path on the test server (internal resources only) */
+  path?: string;
+}
+
+/**
+ * Resources referenced by this run's pages: internal ones (served by the test server),
+ * external ones, and http:// resources on an https siteUrl (mixed content).
+ * /favicon.ico is included (once) when a page has no icon link, as browsers request it.
+ * @throws If page discovery hasn't run
+ */
+export function getPageResources(): {
+  internal: ResourceReference[];
+  external: ResourceReference[];
+  mixedContent: ResourceReference[];
+};
+
+export interface ExternalLink {
+  url: string;
+  /** Page the link is on (with the element, for resources) */
+  foundOn: string;
+  /** Name of the link rule that applies */
+  rule?: string;
+}
+
+/**
+ * External links and resources of this run's pages; links matching a `skip` rule are in `skipped`
+ * @throws If page discovery hasn't run, or a link rule is invalid
+ */
+export function getExternalLinks(): {
+  links: ExternalLink[];
+  skipped: { url: string; reason: string; rule: string }[];
+};
+
+export interface ExternalLinkResult extends ExternalLink {
+  /** HTTP status, 'error' (no response), 'skipped' (rate limited) or 'unchecked' (offline, not cached) */
+  status: number | 'error' | 'skipped' | 'unchecked';
+  error?: string;
+  /** Requests it took, counting retries (not set for cached and unchecked results) */
+  attempts?: number;
+  /** Result came from the link cache */
+  cached?: boolean;
+  /** When the result was checked (ISO date) */
+  checkedAt?: string;
+  /** Status is in the link rule's acceptStatus */
+  accepted?: boolean;
+  /** Link rule action is warn: report, but don't fail */
+  warnOnly?: boolean;
+}
+
+/**
+ * Check external links, reusing cached results within linkCache.ttlDays.
+ * With HUGO_VALIDATOR_OFFLINE=1 (`validate --offline`) only cached results are used.
+ * @param request The `request` fixture
+ */
+export function checkExternalLinks(request: APIRequestContext, links: ExternalLink[]): Promise<ExternalLinkResult[]>;
+
+/**
+ * Whether a result is a broken link: 4xx/5xx or no response, unless the status is accepted by its rule
+ * (warn-only results still count - check `warnOnly`)
+ */
+export function isBrokenLink(result: ExternalLinkResult): boolean;
+
+/** A finding a spec reports, in the shape validate records */
+export interface SpecFinding {
+  rule: string;
+  url: string;
+  selector?: string;
+  severity: 'error' | 'warning';
+  message: string;
+}
+
+/**
+ * Mark findings that are in the baseline file (`hugo-validator baseline`)
+ */
+export function markBaselined<T extends SpecFinding>(findings: T[]): (T & { baselined: boolean })[];
+
+/**
+ * Build the Playwright config (port, server command, browsers, workers, retries,
+ * viewports) from hugo-validator settings
+ * @param overrides Playwright options merged over the generated ones
+ */
+export function createPlaywrightConfig(overrides?: PlaywrightTestConfig): PlaywrightTestConfig;
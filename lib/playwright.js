@@ -0,0 +1,197 @@
+const path = require('path');
+const { resolveConfigSync, VALIDATOR_DIR } = require('./config');
+const { loadInventory, isHtmlPage, getInternalPath: resolveInternalPath, getSiteHosts, findOrphans, findBrokenAnchors, collectResources } = require('./pages');
+const { loadBaseline, applyBaseline } = require('./baseline');
+const { collectExternalLinks, checkExternalLinks: checkLinks, isBrokenLink } = require('./links');
+
+// CLI that runs the built-in static server
+const SERVE_SCRIPT = path.join(__dirname, '..', 'bin', 'hugo-validator.js');
+
+// Playwright device descriptor used for each supported browser
+const BROWSER_DEVICES = {
+  chromium: 'Desktop Chrome',
+  firefox: 'Desktop Firefox',
+  webkit: 'Desktop Safari',
+};
+
+// Specs that run in the first browser project only
+const BROWSER_INDEPENDENT_SPECS = /links\.spec\.ts$/;
+
+// Hosts of siteUrl and siteAliases, loaded on first use
+let siteHosts = null;
+
+/**
+ * Load the resolved hugo-validator configuration for Playwright specs
+ * Same file lookup, defaults, deep merge, schema validation and profile as the CLI
+ * ($HUGO_VALIDATOR_CONFIG and $HUGO_VALIDATOR_PROFILE are passed on by `hugo-validator validate`).
+ * @param {object} [options] - See loadConfig() in lib/config.js
+ * @returns {object} Merged configuration
+ * @throws {Error} If the config file can't be loaded or fails schema validation
+ */
+function loadConfig(options = {}) {
+  return resolveConfigSync(options).config;
+}
+
+/**
+ * Get the URL paths of the HTML pages in this run's inventory (see pageDiscovery)
+ * Pages that didn't load are left to the link test, which reports them; non-HTML
+ * files found by crawling (feeds, PDFs, images) are left out.
+ * @returns {string[]}
+ */
+function getPages() {
+  return loadInventory().pages.filter(isHtmlPage).map(page => page.path);
+}
+
+/**
+ * Get the path an internal link points to, resolved against the page it's on
+ * Absolute links to siteUrl and siteAliases are internal.
+ * @param {string} href - Link target as written in the page
+ * @param {string} [pagePath] - URL path of the page the link is on
+ * @returns {string|null} Path and query without the fragment, or null for external links
+ */
+function getInternalPath(href, pagePath = '/') {
+  siteHosts = siteHosts || getSiteHosts(loadConfig());
+  return resolveInternalPath(href, pagePath, siteHosts);
+}
+
+/**
+ * Get the pages in this run's inventory that no other page links to
+ * @returns {object[]} Inventory pages
+ */
+function findOrphanPages() {
+  return findOrphans(loadInventory(), loadConfig());
+}
+
+/**
+ * Find `#id`, `/path#id` and `../path#id` links in this run's pages whose fragment doesn't exist on the target page
+ * @param {string} baseUrl - Test server URL
+ * @returns {Promise<{ href: string, target: string, fragment: string, foundOn: string }[]>}
+ */
+function findBrokenAnchorLinks(baseUrl) {
+  return findBrokenAnchors(loadInventory(), loadConfig(), baseUrl);
+}
+
+/**
+ * Get the images, stylesheets, scripts, icons and social images this run's pages reference
+ * @returns {{ internal: object[], external: object[], mixedContent: object[] }} See collectResources() in lib/pages.js
+ */
+function getPageResources() {
+  return collectResources(loadInventory(), loadConfig());
+}
+
+/**
+ * Get the external links and resources of this run's pages; links skipped by a link rule are listed apart
+ * @returns {{ links: object[], skipped: object[] }} See collectExternalLinks() in lib/links.js
+ */
+function getExternalLinks() {
+  return collectExternalLinks(loadInventory(), loadConfig());
+}
+
+/**
+ * Check external links, using the link cache (linkCache)
+ * With $HUGO_VALIDATOR_OFFLINE=1 (`validate --offline`) only cached results are used.
+ * @param {object} request - Playwright APIRequestContext (the `request` fixture)
+ * @param {{ url: string, foundOn: string }[]} links - From getExternalLinks()
+ * @returns {Promise<object[]>} See checkExternalLinks() in lib/links.js
+ */
+function checkExternalLinks(request, links) {
+  return checkLinks(request, links, loadConfig(), { offline: process.env.HUGO_VALIDATOR_OFFLINE === '1' });
+}
+
+/**
+ * Mark findings that are in the baseline (`hugo-validator baseline`)
+ * Specs attach the result as their "findings" so validate can record and compare them.
+ * @param {object[]} findings - Findings with rule, url and selector or message
+ * @returns {object[]} Findings with `baselined: true|false`
+ */
+function markBaselined(findings) {
+  const baseline = loadBaseline(loadConfig());
+  return applyBaseline(findings, baseline || { entries: {} });
+}
+
+/**
+ * Build the Playwright config from hugo-validator settings
+ * Used by the generated hugo-validator/playwright.config.ts, so the port, server command,
+ * browsers, workers, retries and viewports follow hugo-validator.config.js.
+ * @param {object} [overrides] - Playwright options merged over the generated ones (via defineConfig)
+ * @returns {object} Playwright config
+ */
+function createPlaywrightConfig(overrides = {}) {
+  const { defineConfig, devices } = require('@playwright/test');
+  const config = loadConfig();
+  const { browsers, viewports, workers, retries } = config.playwright;
+  const projectRoot = process.cwd();
+  const baseURL = `http://localhost:${config.testServerPort}`;
+
+  checkPlaywrightSettings(config);
+
+  // Link checks don't depend on the browser, so only the first project runs them - running
+  // them in every project would multiply the external link rate limits and race on the link cache
+  const projects = browsers.map((name, index) => ({
+    name,
+    ...(index > 0 ? { testIgnore: BROWSER_INDEPENDENT_SPECS } : {}),
+    use: {
+      ...devices[BROWSER_DEVICES[name]],
+      ...(viewports[name] ? { viewport: viewports[name] } : {}),
+    },
+  }));
+
+  return defineConfig({
+    testDir: path.join(projectRoot, VALIDATOR_DIR, 'tests'),
+    outputDir: path.join(projectRoot, VALIDATOR_DIR, 'test-results'),
+    fullyParallel: true,
+    forbidOnly: !!process.env.CI,
+    retries: retries ?? (process.env.CI ? 2 : 0),
+    workers: workers ?? (process.env.CI ? 1 : undefined),
+    reporter: [
+      ['list'],
+      [path.join(projectRoot, VALIDATOR_DIR, 'tests', 'summary-reporter.ts')],
+    ],
+    use: {
+      baseURL,
+      trace: 'off',
+      screenshot: 'only-on-failure', // embedded in the HTML report
+      video: 'off',
+    },
+    projects,
+    globalSetup: require.resolve('./playwright-setup'),
+    webServer: {
+      command: config.testServerCommand || `node "${SERVE_SCRIPT}" serve --port ${config.testServerPort}`,
+      cwd: projectRoot,
+      url: baseURL,
+      reuseExistingServer: !process.env.CI,
+      timeout: 60000,
+      stdout: 'pipe',
+      stderr: 'pipe',
+    },
+  }, overrides);
+}
+
+/**
+ * Check playwright settings the schema can't express
+ * @throws {Error} If a viewport is set for a browser that isn't in the browser list
+ */
+function checkPlaywrightSettings(config) {
+  const { browsers, viewports } = config.playwright;
+  for (const name of Object.keys(viewports)) {
+    if (!browsers.includes(name)) {
+      throw new Error(`playwright.viewports.${name} doesn't match a browser in playwright.browsers (${browsers.join(', ')})`);
+    }
+  }
+}
+
+module.exports = {
+  loadConfig,
+  getPages,
+  loadInventory,
+  getInternalPath,
+  findOrphanPages,
+  findBrokenAnchorLinks,
+  getPageResources,
+  getExternalLinks,
+  checkExternalLinks,
+  isBrokenLink,
+  markBaselined,
+  createPlaywrightConfig,
+  checkPlaywrightSettings,
+};
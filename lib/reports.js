@@ -0,0 +1,472 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const { loadConfigAsync } = require('./config');
+const { getFingerprint } = require('./baseline');
+const { SIZE_PATTERN } = require('./schema');
+const { formatFindingsText } = require('./formats');
+const { getContentType } = require('./server');
+
+// Run summary written to every report directory
+const RESULTS_FILE = 'results.json';
+
+// A test's duration "changed" when it moved by at least this factor and this many seconds
+const DURATION_FACTOR = 1.5;
+const DURATION_MIN_SECONDS = 1;
+
+const STATUS_ICONS = { passed: '✅', failed: '❌', skipped: '⏭️ ' };
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+
+/**
+ * List report directories that have a run summary, oldest first
+ * @param {object} config - Loaded configuration
+ * @returns {string[]} Report directory names (timestamps)
+ */
+function listRuns(config) {
+  if (!fs.existsSync(config.reportsDir)) return [];
+  return fs.readdirSync(config.reportsDir)
+    .filter(name => fs.existsSync(path.join(config.reportsDir, name, RESULTS_FILE)))
+    .sort();
+}
+
+/**
+ * Resolve a run reference to its results.json path
+ * @param {object} config - Loaded configuration
+ * @param {string} ref - Report directory, results.json path, timestamp or unique timestamp prefix
+ * @returns {string}
+ */
+function resolveRun(config, ref) {
+  if (fs.existsSync(ref)) {
+    return fs.statSync(ref).isDirectory() ? path.join(ref, RESULTS_FILE) : ref;
+  }
+
+  const matches = listRuns(config).filter(name => name.startsWith(ref));
+  if (matches.length === 0) {
+    throw new Error(`No report found for "${ref}" in ${config.reportsDir}`);
+  }
+  if (matches.length > 1 && !matches.includes(ref)) {
+    throw new Error(`"${ref}" matches ${matches.length} reports: ${matches.join(', ')}`);
+  }
+  return path.join(config.reportsDir, matches.includes(ref) ? ref : matches[0], RESULTS_FILE);
+}
+
+/**
+ * Load a run summary (as written by validate)
+ */
+function loadRun(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Find the most recent run before a given one
+ * @param {object} config - Loaded configuration
+ * @param {string} timestamp - Current run's timestamp
+ * @returns {object|null} Previous run summary
+ */
+function getPreviousRun(config, timestamp) {
+  const previous = listRuns(config).filter(name => name < timestamp).pop();
+  return previous ? loadRun(path.join(config.reportsDir, previous, RESULTS_FILE)) : null;
+}
+
+/**
+ * Collect the failures of a run, keyed so they can be matched across runs
+ * Failures are error findings not in the baseline, failed Playwright tests, and failed
+ * stages without findings of their own.
+ * @returns {Map<string, { stage: string, description: string }>}
+ */
+function collectFailures(summary) {
+  const failures = new Map();
+
+  for (const stage of summary.stages) {
+    const before = failures.size;
+
+    for (const finding of stage.findings) {
+      if (finding.severity !== 'error' || finding.baselined) continue;
+      // Playwright errors without a file or page are covered by the failed test below
+      if (stage.playwright && !finding.file && !finding.url) continue;
+      failures.set(`${stage.name}|${getFingerprint(finding)}`, { stage: stage.name, description: describeFinding(finding) });
+    }
+
+    for (const suite of stage.playwright?.suites || []) {
+      for (const test of suite.tests) {
+        if (test.status === 'failed') {
+          const name = `${suite.suite} › ${test.name}`;
+          failures.set(`${stage.name}|test|${name}`, { stage: stage.name, description: name });
+        }
+      }
+    }
+
+    if (stage.status === 'failed' && failures.size === before) {
+      failures.set(`${stage.name}|failed`, { stage: stage.name, description: `${stage.label} failed` });
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Compare two runs
+ * Stages skipped in either run (smart mode, --only) are not compared.
+ * @param {object} oldRun - Earlier run summary
+ * @param {object} newRun - Later run summary
+ * @returns {object} { old, new, introduced, fixed, durations, notCompared }
+ */
+function diffRuns(oldRun, newRun) {
+  const ran = run => new Set(run.stages.filter(s => s.status !== 'skipped').map(s => s.name));
+  const oldRan = ran(oldRun);
+  const newRan = ran(newRun);
+  const compared = new Set([...newRan].filter(name => oldRan.has(name)));
+
+  const oldFailures = collectFailures(oldRun);
+  const newFailures = collectFailures(newRun);
+  const inCompared = ([, failure]) => compared.has(failure.stage);
+
+  const introduced = [...newFailures].filter(inCompared).filter(([key]) => !oldFailures.has(key)).map(([, f]) => f);
+  const fixed = [...oldFailures].filter(inCompared).filter(([key]) => !newFailures.has(key)).map(([, f]) => f);
+
+  const durations = [];
+  const oldTests = getTestDurations(oldRun, compared);
+  for (const [name, seconds] of getTestDurations(newRun, compared)) {
+    const previous = oldTests.get(name);
+    if (previous === undefined) continue;
+    const ratio = Math.max(seconds, previous) / Math.max(Math.min(seconds, previous), 0.001);
+    if (Math.abs(seconds - previous) >= DURATION_MIN_SECONDS && ratio >= DURATION_FACTOR) {
+      durations.push({ name, old: previous, new: seconds });
+    }
+  }
+
+  const notCompared = newRun.stages
+    .filter(s => !compared.has(s.name) && (oldRan.has(s.name) || newRan.has(s.name)))
+    .map(s => s.name);
+
+  return { old: oldRun.timestamp, new: newRun.timestamp, introduced, fixed, durations, notCompared };
+}
+
+/**
+ * Get Playwright test durations (seconds) keyed by "suite › test"
+ */
+function getTestDurations(summary, stageNames) {
+  const durations = new Map();
+  for (const stage of summary.stages) {
+    if (!stageNames.has(stage.name)) continue;
+    for (const suite of stage.playwright?.suites || []) {
+      for (const test of suite.tests) {
+        if (test.status !== 'skipped') {
+          durations.set(`${suite.suite} › ${test.name}`, parseFloat(test.duration) || 0);
+        }
+      }
+    }
+  }
+  return durations;
+}
+
+/**
+ * Describe a finding on one line
+ */
+function describeFinding(finding) {
+  const location = finding.url || (finding.file ? `${finding.file}${finding.line ? `:${finding.line}` : ''}` : '');
+  const rule = finding.rule ? ` (${finding.rule})` : '';
+  return `${location ? `${location}: ` : ''}${finding.selector ? `${finding.selector} - ` : ''}${finding.message}${rule}`;
+}
+
+/**
+ * Format a run comparison as Markdown (used in the report and on the console)
+ * @param {object} diff - From diffRuns()
+ * @returns {string}
+ */
+function formatDiff(diff) {
+  let text = '';
+
+  const section = (title, lines) => {
+    if (lines.length === 0) return;
+    text += `**${title}** (${lines.length}):\n`;
+    for (const line of lines) {
+      text += `- ${line}\n`;
+    }
+    text += `\n`;
+  };
+
+  section('❌ New failures', diff.introduced.map(f => `[${f.stage}] ${f.description}`));
+  section('✅ Fixed', diff.fixed.map(f => `[${f.stage}] ${f.description}`));
+  section('⏱️ Duration changes', diff.durations.map(d =>
+    `${d.name}: ${d.old.toFixed(2)}s → ${d.new.toFixed(2)}s`
+  ));
+
+  if (!text) {
+    text = 'No changes in failures or test durations.\n\n';
+  }
+  if (diff.notCompared.length > 0) {
+    text += `_Not compared (skipped in one of the runs): ${diff.notCompared.join(', ')}_\n\n`;
+  }
+
+  return text;
+}
+
+/**
+ * CLI: compare two runs (defaults: the previous run and the latest run)
+ * @param {string} [oldRef] - Earlier run (timestamp, prefix or path)
+ * @param {string} [newRef] - Later run (timestamp, prefix or path)
+ * @returns {Promise<number>} Exit code
+ */
+async function reportDiff(oldRef, newRef) {
+  const config = await loadConfigAsync();
+  const runs = listRuns(config);
+
+  const newFile = newRef ? resolveRun(config, newRef) : runs.length > 0 && path.join(config.reportsDir, runs[runs.length - 1], RESULTS_FILE);
+  if (!newFile) {
+    throw new Error(`No reports with ${RESULTS_FILE} in ${config.reportsDir} - run validate first`);
+  }
+  const newRun = loadRun(newFile);
+
+  let oldFile = oldRef && resolveRun(config, oldRef);
+  if (!oldFile) {
+    const previous = runs.filter(name => name < newRun.timestamp).pop();
+    if (!previous) {
+      throw new Error(`No earlier report to compare ${newRun.timestamp} with`);
+    }
+    oldFile = path.join(config.reportsDir, previous, RESULTS_FILE);
+  }
+  const oldRun = loadRun(oldFile);
+
+  console.log(`Comparing ${oldRun.timestamp} → ${newRun.timestamp}\n`);
+  console.log(formatDiff(diffRuns(oldRun, newRun)).trimEnd());
+  return 0;
+}
+
+/**
+ * CLI: list past runs, newest first, with the status of each stage
+ * @returns {Promise<number>} Exit code
+ */
+async function reportList() {
+  const config = await loadConfigAsync();
+  const runs = listRuns(config).reverse();
+
+  if (runs.length === 0) {
+    console.log(`No reports in ${config.reportsDir}`);
+    return 0;
+  }
+
+  for (const name of runs) {
+    const run = loadRun(path.join(config.reportsDir, name, RESULTS_FILE));
+    const stages = run.stages.map(stage => `${STATUS_ICONS[stage.status] || '  '} ${stage.name}`).join('  ');
+    console.log(`${STATUS_ICONS[run.status]} ${name}   ${stages}`);
+  }
+
+  console.log(`\n${runs.length} reports in ${config.reportsDir} (${formatSize(getDirSize(config.reportsDir))})`);
+  return 0;
+}
+
+/**
+ * CLI: print a past run to the console
+ * @param {string} ref - Timestamp, unique prefix or path
+ * @returns {Promise<number>} Exit code (1 if that run failed)
+ */
+async function reportShow(ref) {
+  const config = await loadConfigAsync();
+  const run = loadRun(resolveRun(config, ref));
+
+  console.log(`Run ${run.timestamp} (hugo-validator ${run.version})\n`);
+
+  for (const stage of run.stages) {
+    const duration = stage.status === 'skipped' ? '' : ` (${stage.duration.toFixed(1)}s)`;
+    console.log(`${STATUS_ICONS[stage.status] || '  '} ${stage.label}${duration}`);
+
+    const active = stage.findings.filter(f => !f.baselined && (f.file || f.url || !stage.playwright));
+    const known = stage.findings.filter(f => f.baselined).length;
+    if (active.length > 0) {
+      console.log(formatFindingsText(active).replace(/^/gm, '   '));
+    }
+    if (known > 0) {
+      console.log(`   ${known} known issues in baseline`);
+    }
+
+    for (const suite of stage.playwright?.suites || []) {
+      console.log(`\n   📋 ${suite.suite}`);
+      for (const test of suite.tests) {
+        console.log(`      ${STATUS_ICONS[test.status] || '  '} ${test.name} (${test.duration})`);
+        for (const err of test.errors) {
+          console.log(`         ❗ ${err}`);
+        }
+      }
+    }
+    console.log('');
+  }
+
+  console.log(run.status === 'failed' ? '❌ Validation failed' : '✅ All validations passed');
+  return run.status === 'failed' ? 1 : 0;
+}
+
+/**
+ * CLI: serve a run's report directory (default: the latest) and open its HTML report
+ * @param {string} [ref] - Timestamp, unique prefix or path
+ * @param {object} [options]
+ * @param {number} [options.port] - Port to listen on
+ * @param {boolean} [options.browser] - Set to false to only print the URL
+ * @returns {Promise<number>} Exit code, once stopped with Ctrl+C
+ */
+async function reportOpen(ref, options = {}) {
+  const config = await loadConfigAsync();
+  const runs = listRuns(config);
+  const resultsFile = ref ? resolveRun(config, ref) : runs.length > 0 && path.join(config.reportsDir, runs[runs.length - 1], RESULTS_FILE);
+  if (!resultsFile) {
+    throw new Error(`No reports with ${RESULTS_FILE} in ${config.reportsDir} - run validate first`);
+  }
+
+  const dir = path.resolve(path.dirname(resultsFile));
+  if (!fs.existsSync(path.join(dir, 'report.html'))) {
+    throw new Error(`${path.dirname(resultsFile)} has no report.html`);
+  }
+
+  const server = http.createServer((req, res) => {
+    const requested = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const file = path.join(dir, requested === '/' ? 'report.html' : requested);
+    if (!file.startsWith(dir + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': getContentType(file) });
+    fs.createReadStream(file).pipe(res);
+  });
+
+  const port = parseInt(options.port, 10) || 0;
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  const url = `http://localhost:${server.address().port}/`;
+  console.log(`Serving ${path.relative(process.cwd(), dir)} at ${url} (Ctrl+C to stop)`);
+  if (options.browser !== false) {
+    openBrowser(url);
+  }
+
+  await new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+  });
+  server.close();
+  return 0;
+}
+
+/**
+ * Open a URL in the default browser (best effort)
+ */
+function openBrowser(url) {
+  const command = process.platform === 'darwin' ? 'open' : process.platform === 'win32' ? 'explorer' : 'xdg-open';
+  try {
+    const child = spawn(command, [url], { stdio: 'ignore', detached: true });
+    child.on('error', () => {});
+    child.unref();
+  } catch {}
+}
+
+/**
+ * Remove old report directories
+ * Keeps at most `reportRetention` reports, drops reports older than `reportMaxAgeDays`,
+ * then drops the oldest until the total is under `reportMaxSize`. The newest report is always kept.
+ * @param {object} config - Loaded configuration
+ */
+function cleanupOldReports(config) {
+  const reportsDir = config.reportsDir;
+  if (!fs.existsSync(reportsDir)) return;
+
+  // Settings errors are the user's to fix, so they aren't caught below
+  const maxAge = config.reportMaxAgeDays ? config.reportMaxAgeDays * 24 * 60 * 60 * 1000 : null;
+  const maxSize = config.reportMaxSize ? parseSize(config.reportMaxSize) : null;
+
+  try {
+    const reports = fs.readdirSync(reportsDir)
+      .filter(f => fs.statSync(path.join(reportsDir, f)).isDirectory())
+      .sort()
+      .reverse();
+
+    let totalSize = 0;
+
+    reports.forEach((name, index) => {
+      const reportPath = path.join(reportsDir, name);
+      if (index === 0) {
+        totalSize += maxSize ? getDirSize(reportPath) : 0;
+        return;
+      }
+
+      let remove = config.reportRetention && index >= config.reportRetention;
+      if (!remove && maxAge) {
+        remove = Date.now() - getReportTime(reportPath, name) > maxAge;
+      }
+      if (!remove && maxSize) {
+        totalSize += getDirSize(reportPath);
+        remove = totalSize > maxSize;
+      }
+
+      if (remove) {
+        fs.rmSync(reportPath, { recursive: true, force: true });
+      }
+    });
+  } catch (error) {
+    console.warn('Warning: Could not clean up old reports:', error.message);
+  }
+}
+
+/**
+ * Get when a report was created, from its directory name (UTC timestamp) or mtime
+ */
+function getReportTime(reportPath, name) {
+  const match = name.match(/^(\d{4}-\d{2}-\d{2})_(\d{2})-(\d{2})-(\d{2})$/);
+  if (match) {
+    return Date.parse(`${match[1]}T${match[2]}:${match[3]}:${match[4]}Z`);
+  }
+  return fs.statSync(reportPath).mtimeMs;
+}
+
+/**
+ * Parse a size such as 500000, '200MB' or '1.5 GB' to bytes
+ */
+function parseSize(size) {
+  if (typeof size === 'number') return size;
+  const match = String(size).match(SIZE_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid size: ${size} (use bytes or a value like "200MB")`);
+  }
+  return parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()];
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatSize(bytes) {
+  const unit = ['GB', 'MB', 'KB'].find(u => bytes >= SIZE_UNITS[u]) || 'B';
+  return `${(bytes / SIZE_UNITS[unit]).toFixed(unit === 'B' ? 0 : 1)} ${unit}`;
+}
+
+/**
+ * Total size of the files below a directory
+ */
+function getDirSize(dir) {
+  let size = 0;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    size += entry.isDirectory() ? getDirSize(entryPath) : fs.statSync(entryPath).size;
+  }
+  return size;
+}
+
+module.exports = {
+  RESULTS_FILE,
+  listRuns,
+  resolveRun,
+  loadRun,
+  getPreviousRun,
+  diffRuns,
+  formatDiff,
+  reportDiff,
+  reportList,
+  reportShow,
+  reportOpen,
+  cleanupOldReports,
+};
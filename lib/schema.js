@@ -0,0 +1,309 @@
+/**
+ * Schema for hugo-validator.config.js
+ * Each option has a type (or list of allowed types) and, for objects, its properties.
+ * Types: string, number, boolean, array, object (fixed properties), record (any keys), function,
+ * regexp, null.
+ * Strings can be limited to a list of values with `enum`, or to a format with `pattern`
+ * (described by `format` in error messages).
+ */
+const STRING_ARRAY = { type: 'array', items: { type: 'string' } };
+
+// Sizes such as '200MB' or '1.5 GB' (reportMaxSize)
+const SIZE_PATTERN = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?\s*$/i;
+
+const STAGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', required: true },
+    label: { type: 'string' },
+    command: { type: 'string' },
+    run: { type: 'function' },
+    patterns: STRING_ARRAY,
+    configFiles: STRING_ARRAY,
+    before: { type: 'string' },
+    after: { type: 'string' },
+    dependsOn: STRING_ARRAY,
+  },
+};
+
+const LINK_RULE_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    host: { type: ['string', 'array'], items: { type: 'string' } },
+    url: { type: ['string', 'regexp'] },
+    action: { type: 'string', enum: ['check', 'skip', 'warn'] },
+    reason: { type: 'string' },
+    userAgent: { type: 'string' },
+    headers: { type: 'record', values: { type: 'string' } },
+    acceptStatus: { type: 'array', items: { type: 'number', integer: true, min: 100, max: 999 } },
+  },
+};
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    siteUrl: { type: 'string' },
+    siteAliases: STRING_ARRAY,
+    portsToKill: { type: 'array', items: { type: 'number', integer: true, min: 1, max: 65535 } },
+    linkRules: { type: 'array', items: LINK_RULE_SCHEMA },
+    builtinLinkRules: { type: 'boolean' },
+    skipExternalDomains: { type: 'record', values: { type: 'string' } },
+    linkCheck: {
+      type: 'object',
+      properties: {
+        concurrency: { type: 'number', integer: true, min: 1 },
+        perHostConcurrency: { type: 'number', integer: true, min: 1 },
+        timeout: { type: 'number', integer: true, min: 1 },
+        retries: { type: 'number', integer: true, min: 0 },
+        retryDelay: { type: 'number', min: 0 },
+        maxRetryAfter: { type: 'number', min: 0 },
+      },
+    },
+    linkCache: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        ttlDays: {
+          type: 'object',
+          properties: {
+            success: { type: 'number', min: 0 },
+            redirect: { type: 'number', min: 0 },
+            clientError: { type: 'number', min: 0 },
+            serverError: { type: 'number', min: 0 },
+            error: { type: 'number', min: 0 },
+          },
+        },
+      },
+    },
+    cssPattern: { type: 'string' },
+    htmlValidation: {
+      type: 'object',
+      properties: {
+        pattern: { type: 'string' },
+        exclude: STRING_ARRAY,
+      },
+    },
+    skipPaths: STRING_ARRAY,
+    orphanAllowlist: STRING_ARRAY,
+    responsive: {
+      type: 'object',
+      properties: {
+        wrapperSelector: { type: 'string' },
+        spotCheckPages: STRING_ARRAY,
+      },
+    },
+    interaction: {
+      type: 'object',
+      properties: {
+        navSelector: { type: 'string' },
+        touchTargetSelectors: STRING_ARRAY,
+      },
+    },
+    generateReport: { type: 'boolean' },
+    reportRetention: { type: 'number', integer: true, min: 1 },
+    reportMaxAgeDays: { type: ['number', 'null'], min: 0 },
+    reportMaxSize: { type: ['number', 'string', 'null'], min: 0, pattern: SIZE_PATTERN, format: 'a size such as "500MB" (B, KB, MB or GB)' },
+    reportFilename: { type: 'string' },
+    reportsDir: { type: 'string' },
+    baselineFile: { type: 'string' },
+    testServerPort: { type: 'number', integer: true, min: 1, max: 65535 },
+    testServerCommand: { type: ['string', 'null'] },
+    testServer: {
+      type: 'object',
+      properties: {
+        publicDir: { type: 'string' },
+        trailingSlash: { type: 'boolean' },
+        notFoundPage: { type: ['string', 'null'] },
+        redirectsFile: { type: ['string', 'null'] },
+        aliases: { type: 'boolean' },
+      },
+    },
+    pageDiscovery: {
+      type: 'object',
+      properties: {
+        sources: { type: 'array', items: { type: 'string', enum: ['sitemap', 'filesystem', 'crawl'] } },
+        filesystemPattern: { type: 'string' },
+        maxPages: { type: 'number', integer: true, min: 1 },
+      },
+    },
+    playwright: {
+      type: 'object',
+      properties: {
+        browsers: { type: 'array', items: { type: 'string', enum: ['chromium', 'firefox', 'webkit'] } },
+        viewports: {
+          type: 'record',
+          values: {
+            type: 'object',
+            properties: {
+              width: { type: 'number', integer: true, min: 1, required: true },
+              height: { type: 'number', integer: true, min: 1, required: true },
+            },
+          },
+        },
+        workers: { type: ['number', 'string', 'null'] },
+        retries: { type: ['number', 'null'], integer: true, min: 0 },
+      },
+    },
+    stages: { type: 'array', items: STAGE_SCHEMA },
+    concurrency: { type: 'number', integer: true, min: 1 },
+  },
+};
+
+// Profiles override any option except profiles themselves
+SCHEMA.properties.profiles = {
+  type: 'record',
+  values: { type: 'object', properties: { ...SCHEMA.properties } },
+};
+
+/**
+ * Validate a user configuration object against the schema
+ * @param {object} userConfig - Configuration as exported by the config file
+ * @returns {string[]} Problems found (empty if valid)
+ */
+function validateConfig(userConfig) {
+  const problems = [];
+  checkValue(userConfig, SCHEMA, '', problems);
+  return problems;
+}
+
+/**
+ * Check a value against a schema node, collecting problems
+ */
+function checkValue(value, schema, keyPath, problems) {
+  const types = [].concat(schema.type);
+  const actual = getType(value);
+
+  if (!types.includes(actual) && !(actual === 'object' && types.includes('record'))) {
+    problems.push(`${keyPath || 'Config'} must be ${formatTypes(types)} (got ${actual})`);
+    return;
+  }
+
+  if (actual === 'number') {
+    if (schema.integer && !Number.isInteger(value)) {
+      problems.push(`${keyPath} must be a whole number (got ${value})`);
+    } else if (schema.min !== undefined && value < schema.min) {
+      problems.push(`${keyPath} must be at least ${schema.min} (got ${value})`);
+    } else if (schema.max !== undefined && value > schema.max) {
+      problems.push(`${keyPath} must be at most ${schema.max} (got ${value})`);
+    }
+  }
+
+  if (actual === 'string' && schema.enum && !schema.enum.includes(value)) {
+    const suggestion = suggest(value, schema.enum);
+    const hint = suggestion ? ` - did you mean "${suggestion}"?` : '';
+    problems.push(`${keyPath} must be one of ${schema.enum.join(', ')} (got "${value}")${hint}`);
+  }
+
+  if (actual === 'string' && schema.pattern && !schema.pattern.test(value)) {
+    problems.push(`${keyPath} must be ${schema.format} (got "${value}")`);
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => checkValue(item, schema.items, `${keyPath}[${index}]`, problems));
+  }
+
+  if (actual === 'object' && types.includes('record')) {
+    // Records are plain objects too - check their values rather than their keys
+    for (const [key, item] of Object.entries(value)) {
+      checkValue(item, schema.values, `${keyPath}.${key}`, problems);
+    }
+    return;
+  }
+
+  if (actual === 'object' && schema.properties) {
+    const known = Object.keys(schema.properties);
+    for (const [key, item] of Object.entries(value)) {
+      const childPath = keyPath ? `${keyPath}.${key}` : key;
+      if (!schema.properties[key]) {
+        const suggestion = suggest(key, known);
+        const hint = suggestion ? ` - did you mean "${keyPath ? `${keyPath}.` : ''}${suggestion}"?` : '';
+        problems.push(`Unknown option "${childPath}"${hint}`);
+        continue;
+      }
+      checkValue(item, schema.properties[key], childPath, problems);
+    }
+    for (const [key, property] of Object.entries(schema.properties)) {
+      if (property.required && value[key] === undefined) {
+        problems.push(`${keyPath ? `${keyPath}.` : ''}${key} is required`);
+      }
+    }
+  }
+}
+
+/**
+ * Get the schema type name of a value
+ */
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof RegExp) return 'regexp';
+  if (typeof value === 'object') return 'object';
+  return typeof value;
+}
+
+/**
+ * Describe allowed types, e.g. "a string or null"
+ */
+function formatTypes(types) {
+  const names = types.map(type => {
+    if (type === 'null') return 'null';
+    if (type === 'record') return 'an object';
+    if (type === 'regexp') return 'a regular expression';
+    return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+  });
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+}
+
+/**
+ * Find the closest known key for a misspelled one
+ * @returns {string|null}
+ */
+function suggest(key, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = candidate.toLowerCase() === key.toLowerCase() ? 0 : levenshtein(key, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+/**
+ * Edit distance between two strings
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Check whether a schema node describes an object with fixed properties
+ * (config print lists those property by property)
+ */
+function hasProperties(schema) {
+  return Boolean(schema && schema.properties) && [].concat(schema.type).includes('object');
+}
+
+module.exports = {
+  SCHEMA,
+  SIZE_PATTERN,
+  validateConfig,
+  hasProperties,
+  suggest,
+};
@@ -0,0 +1,318 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { loadConfigAsync } = require('./config');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json',
+  '.map': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.xml': 'application/xml',
+  '.rss': 'application/rss+xml',
+  '.atom': 'application/atom+xml',
+  '.txt': 'text/plain; charset=utf-8',
+  '.log': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.pdf': 'application/pdf',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.wasm': 'application/wasm',
+};
+
+// Hugo alias pages are tiny HTML files that only hold a meta refresh
+const ALIAS_MAX_SIZE = 2048;
+const ALIAS_REFRESH = /<meta\s+http-equiv=["']?refresh["']?\s+content=["']?0;\s*url=([^"'>\s]+)/i;
+
+/**
+ * Get the Content-Type for a file
+ */
+function getContentType(file) {
+  return CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Create a static server for the built site that behaves like a typical Hugo host
+ * - `/posts` redirects to `/posts/` when it's a directory (trailingSlash)
+ * - missing paths get the custom 404 page with a 404 status
+ * - rules from a Netlify-style _redirects file are applied (redirectsFile)
+ * - Hugo alias pages are answered with a real 301 instead of a meta refresh (aliases)
+ * @param {object} config - Loaded configuration
+ * @returns {http.Server}
+ */
+function createStaticServer(config) {
+  const options = config.testServer;
+  const root = path.resolve(options.publicDir);
+  const rules = options.redirectsFile ? loadRedirects(options.redirectsFile) : [];
+  const siteOrigin = getOrigin(config.siteUrl);
+
+  return http.createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    let pathname;
+    try {
+      pathname = decodeURIComponent(url.pathname);
+    } catch {
+      send(res, req, 400, null, 'Bad request');
+      return;
+    }
+
+    const found = resolveFile(root, pathname);
+
+    const rule = matchRedirect(rules, pathname, Boolean(found && found.file));
+    if (rule) {
+      if (rule.status === 200) {
+        const target = resolveFile(root, rule.to);
+        if (target && target.file) {
+          send(res, req, 200, target.file);
+          return;
+        }
+      } else if (rule.status === 404) {
+        const target = resolveFile(root, rule.to);
+        send(res, req, 404, target && target.file);
+        return;
+      } else {
+        redirect(res, rule.status, rule.to + (rule.to.includes('?') ? '' : url.search));
+        return;
+      }
+    }
+
+    if (found && found.directory && !pathname.endsWith('/') && options.trailingSlash) {
+      redirect(res, 301, `${url.pathname}/${url.search}`);
+      return;
+    }
+
+    if (!found || !found.file) {
+      const notFound = options.notFoundPage && resolveFile(root, `/${options.notFoundPage}`);
+      send(res, req, 404, notFound && notFound.file);
+      return;
+    }
+
+    if (options.aliases && found.file.endsWith('.html')) {
+      const target = readAliasTarget(found.file, siteOrigin);
+      if (target) {
+        redirect(res, 301, target);
+        return;
+      }
+    }
+
+    send(res, req, 200, found.file);
+  });
+}
+
+/**
+ * Map a URL path to a file in the site root
+ * `/a/` and `/a` serve a/index.html, `/a` also falls back to a.html.
+ * @returns {{ file: string|null, directory: boolean }|null} Null if nothing matches
+ */
+function resolveFile(root, pathname) {
+  const candidate = path.join(root, pathname);
+  if (candidate !== root && !candidate.startsWith(root + path.sep)) return null;
+
+  const stat = statOrNull(candidate);
+  if (stat && stat.isFile()) {
+    return { file: candidate, directory: false };
+  }
+  if (stat && stat.isDirectory()) {
+    const index = path.join(candidate, 'index.html');
+    return { file: fs.existsSync(index) ? index : null, directory: true };
+  }
+  if (!pathname.endsWith('/') && fs.existsSync(`${candidate}.html`)) {
+    return { file: `${candidate}.html`, directory: false };
+  }
+  return null;
+}
+
+/**
+ * Stat a path, or null if it doesn't exist
+ */
+function statOrNull(file) {
+  try {
+    return fs.statSync(file);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Send a file (or a plain-text body when there's no file)
+ */
+function send(res, req, status, file, text = 'Not found') {
+  if (!file) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(req.method === 'HEAD' ? undefined : text);
+    return;
+  }
+
+  res.writeHead(status, {
+    'Content-Type': getContentType(file),
+    'Content-Length': fs.statSync(file).size,
+  });
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  fs.createReadStream(file).pipe(res);
+}
+
+/**
+ * Send a redirect
+ */
+function redirect(res, status, location) {
+  res.writeHead(status, { Location: location, 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(`Redirecting to ${location}`);
+}
+
+/**
+ * Parse a Netlify-style _redirects file
+ * Each line is `from to [status][!]`; `*` in from is available as `:splat`, and `:name`
+ * segments as placeholders. Lines with conditions (Country=, Role=, ...) are ignored.
+ * @param {string} file - Path of the redirects file
+ * @returns {object[]} Rules in file order
+ * @throws {Error} If the file doesn't exist
+ */
+function loadRedirects(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Redirects file not found: ${file}`);
+  }
+
+  const rules = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    const fields = line.replace(/#.*$/, '').trim().split(/\s+/).filter(Boolean);
+    if (fields.length < 2) continue;
+
+    const [from, to, status = '301', ...conditions] = fields;
+    if (conditions.length > 0 || !/^\d{3}!?$/.test(status)) continue;
+
+    rules.push({
+      pattern: compileRoute(from),
+      to,
+      status: parseInt(status, 10),
+      force: status.endsWith('!'),
+    });
+  }
+  return rules;
+}
+
+/**
+ * Turn a redirect source into a regular expression with named groups
+ */
+function compileRoute(from) {
+  const source = from.replace(/\/+$/, '') || '/';
+  const escaped = source
+    .split('/')
+    .map(segment => {
+      if (segment === '*') return '(?<splat>.*)';
+      if (segment.startsWith(':')) return `(?<${segment.slice(1)}>[^/]+)`;
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  // Netlify matches with or without the trailing slash
+  return new RegExp(`^${escaped}${source === '/' ? '' : '/?'}$`);
+}
+
+/**
+ * Find the first redirect rule for a path
+ * Like Netlify, a rule doesn't apply when a file exists at the path unless it's forced.
+ * @returns {{ status: number, to: string }|null}
+ */
+function matchRedirect(rules, pathname, fileExists) {
+  for (const rule of rules) {
+    if (fileExists && !rule.force) continue;
+    const match = pathname.match(rule.pattern);
+    if (!match) continue;
+
+    const groups = match.groups || {};
+    const to = rule.to.replace(/:(\w+)/g, (placeholder, name) => (groups[name] !== undefined ? groups[name] : placeholder));
+    return { status: rule.status, to };
+  }
+  return null;
+}
+
+/**
+ * Read the target of a Hugo alias page, as a local path when it points at the site itself
+ * @returns {string|null} Null if the file isn't an alias page
+ */
+function readAliasTarget(file, siteOrigin) {
+  if (fs.statSync(file).size > ALIAS_MAX_SIZE) return null;
+  const match = fs.readFileSync(file, 'utf8').match(ALIAS_REFRESH);
+  if (!match) return null;
+
+  const target = match[1].replace(/&amp;/g, '&');
+  if (siteOrigin && target.startsWith(siteOrigin)) {
+    return target.slice(siteOrigin.length) || '/';
+  }
+  return target;
+}
+
+/**
+ * Get scheme and host of a URL (null if it can't be parsed)
+ */
+function getOrigin(siteUrl) {
+  try {
+    return new URL(siteUrl).origin;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * CLI: serve the built site the way the Playwright tests see it
+ * @param {object} [options]
+ * @param {number} [options.port] - Port to listen on (default: testServerPort)
+ * @returns {Promise<number>} Exit code, once stopped with Ctrl+C or SIGTERM
+ */
+async function serve(options = {}) {
+  const config = await loadConfigAsync();
+  const root = config.testServer.publicDir;
+  if (!fs.existsSync(root)) {
+    throw new Error(`${root} not found - build the site with hugo first`);
+  }
+
+  const server = createStaticServer(config);
+  const port = parseInt(options.port, 10) || config.testServerPort;
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, resolve);
+  });
+
+  console.log(`Serving ${root} at http://localhost:${port}/ (Ctrl+C to stop)`);
+
+  // Playwright stops its web server with SIGTERM
+  await new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  server.close();
+  return 0;
+}
+
+module.exports = {
+  createStaticServer,
+  getContentType,
+  loadRedirects,
+  readAliasTarget,
+  serve,
+};
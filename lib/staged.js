@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { matchesAny } = require('./files');
+
+// Staged files under these paths can be mapped to individual pages
+const CONTENT_DIR = 'content/';
+
+// Staged files that are not Hugo inputs and never need validation
+const IGNORED_PATTERNS = [
+  '*.md', // README, CHANGELOG, ... (content lives under content/)
+  'LICENSE*',
+  '.github/**',
+  '.gitignore',
+  '.githooks/**',
+  'package.json',
+  'package-lock.json',
+  'hugo-validator/reports/**',
+];
+
+/**
+ * Get the list of files staged in the git index
+ * @returns {{ file: string, status: string }[]} Staged files with their git status letter (A, M, D, R, ...)
+ */
+function getStagedFiles() {
+  const output = execSync('git diff --cached --name-status --no-renames', {
+    encoding: 'utf8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+
+  return output
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line) => {
+      const [status, ...rest] = line.split('\t');
+      return { file: rest.join('\t'), status: status[0] };
+    });
+}
+
+/**
+ * Work out what a set of staged files requires validating
+ * Content changes map to their pages; layout, theme, config, data, asset and static
+ * changes (or deleted content, which may break links anywhere) require a full run.
+ * @param {{ file: string, status: string }[]} stagedFiles - From getStagedFiles()
+ * @returns {{ full: boolean, reason: string|null, pages: string[], files: string[] }}
+ */
+function analyzeStagedFiles(stagedFiles) {
+  const pages = new Set();
+  const files = [];
+
+  for (const { file, status } of stagedFiles) {
+    if (matchesAny(file, IGNORED_PATTERNS)) continue;
+    files.push(file);
+
+    if (!file.startsWith(CONTENT_DIR)) {
+      return { full: true, reason: `${file} affects the whole site`, pages: [], files };
+    }
+    if (status === 'D') {
+      return { full: true, reason: `${file} was deleted (links to it may break)`, pages: [], files };
+    }
+
+    const page = contentFileToPage(file);
+    if (!page) {
+      return { full: true, reason: `could not map ${file} to a page`, pages: [], files };
+    }
+
+    // A new or changed page also changes its section list and the home page
+    pages.add(page);
+    for (const parent of getParentPages(page)) {
+      pages.add(parent);
+    }
+  }
+
+  return { full: false, reason: null, pages: [...pages].sort(), files };
+}
+
+/**
+ * Map a content file to the URL path of the page it renders
+ * Honours `url` and `slug` front matter; page bundle resources map to their bundle.
+ * @param {string} file - Path relative to the project root, e.g. content/posts/hello.md
+ * @returns {string|null} URL path such as /posts/hello/, or null if unknown
+ */
+function contentFileToPage(file) {
+  let relative = file.slice(CONTENT_DIR.length);
+  const dir = path.posix.dirname(relative);
+  let name = path.posix.basename(relative);
+
+  // Page bundle resource (image, data file, ...) - validate the bundle's page
+  if (!/\.(md|markdown|html|htm|adoc|org|rst|pdc)$/i.test(name)) {
+    const bundleIndex = ['index.md', '_index.md']
+      .map(index => path.posix.join(CONTENT_DIR, dir, index))
+      .find(index => fs.existsSync(index));
+    if (!bundleIndex) return null;
+    relative = bundleIndex.slice(CONTENT_DIR.length);
+    name = path.posix.basename(relative);
+  }
+
+  const frontMatter = readFrontMatter(path.posix.join(CONTENT_DIR, relative));
+  if (frontMatter.url) {
+    return normalizePage(frontMatter.url);
+  }
+
+  // Strip extension and language suffix (e.g. post.en.md)
+  const base = name.replace(/\.[^.]+$/, '').replace(/\.[a-z]{2}(-[a-z]{2})?$/i, '');
+
+  // Bundles (index.md) and sections (_index.md) are named after their directory
+  const isIndex = base === 'index' || base === '_index';
+  const section = isIndex ? path.posix.dirname(dir) : dir;
+  const ownName = isIndex ? (dir === '.' ? '' : path.posix.basename(dir)) : base;
+  const slug = base !== '_index' && frontMatter.slug ? frontMatter.slug : ownName;
+  const pagePath = `/${[section === '.' ? '' : section, slug].filter(Boolean).join('/')}/`;
+
+  return normalizePage(pagePath.toLowerCase());
+}
+
+/**
+ * Read `url` and `slug` from YAML or TOML front matter
+ */
+function readFrontMatter(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch {
+    return {};
+  }
+
+  const match = content.match(/^(---|\+\+\+)\r?\n([\s\S]*?)\r?\n\1/);
+  if (!match) return {};
+
+  const result = {};
+  for (const key of ['url', 'slug']) {
+    const value = match[2].match(new RegExp(`^${key}\\s*[:=]\\s*["']?([^"'\\r\\n]+?)["']?\\s*$`, 'm'));
+    if (value) result[key] = value[1].trim();
+  }
+  return result;
+}
+
+/**
+ * Get the section list pages above a page, up to and including the home page
+ */
+function getParentPages(page) {
+  const parents = [];
+  const segments = page.split('/').filter(Boolean);
+  for (let i = segments.length - 1; i >= 0; i--) {
+    parents.push(normalizePage(`/${segments.slice(0, i).join('/')}/`));
+  }
+  return parents;
+}
+
+/**
+ * Normalize a URL path to a leading and trailing slash
+ */
+function normalizePage(page) {
+  let normalized = page.startsWith('/') ? page : `/${page}`;
+  if (!normalized.endsWith('/') && !path.posix.extname(normalized)) {
+    normalized += '/';
+  }
+  return normalized.replace(/\/{2,}/g, '/');
+}
+
+/**
+ * Map a page URL path to its generated HTML file under public/
+ */
+function pageToFile(page, publicDir = 'public') {
+  const relative = page.endsWith('/') ? `${page}index.html` : page;
+  return path.posix.join(publicDir, relative);
+}
+
+/**
+ * Map a generated HTML file under public/ back to its page URL path
+ * @returns {string|null} URL path, or null if the file is not under publicDir
+ */
+function fileToPage(file, publicDir = 'public') {
+  const relative = path.posix.relative(publicDir, file.split(path.sep).join('/'));
+  if (relative.startsWith('..')) return null;
+  return `/${relative}`.replace(/(^|\/)index\.html$/, '$1');
+}
+
+module.exports = {
+  getStagedFiles,
+  analyzeStagedFiles,
+  contentFileToPage,
+  pageToFile,
+  fileToPage,
+};
@@ -1,11 +1,24 @@
-const { execSync, spawn } = require('child_process');
+const { exec, execSync, spawn } = require('child_process');
+const { promisify } = require('util');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const { loadConfig } = require('./config');
+const { version } = require('../package.json');
+const { resolveConfig, VALIDATOR_DIR, CONFIG_FILENAME } = require('./config');
+const { findFiles, matchesAny } = require('./files');
+const { getStagedFiles, analyzeStagedFiles, pageToFile } = require('./staged');
+const { FORMATS, buildRunSummary, formatResults, formatFindingsText, getDefaultOutputFile } = require('./formats');
+const { loadBaseline, writeBaseline, applyBaseline, getFixedEntries, getBaselinePath } = require('./baseline');
+const { RESULTS_FILE, getPreviousRun, diffRuns, formatDiff, cleanupOldReports } = require('./reports');
+const { renderHtmlReport } = require('./html-report');
 
 const CACHE_FILE = 'hugo-validator/.validation-cache.json';
 
+// Stages whose findings can be recorded in a baseline
+const BASELINE_STAGES = ['css', 'html', 'tests'];
+
+const execAsync = promisify(exec);
+
 /**
  * Load validation cache
  */
@@ -15,7 +28,7 @@ function loadCache() {
       return JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
     }
   } catch {}
-  return { tests: {}, fileHashes: {}, lastRun: null };
+  return { tests: {}, fileHashes: {}, stageKeys: {}, htmlFiles: {}, lastRun: null };
 }
 
 /**
@@ -42,51 +55,248 @@ function hashFile(filePath) {
 }
 
 /**
- * Get file patterns for each stage
+ * Get the ordered list of pipeline stages (built-in plus custom stages from config)
+ * @param {object} config - Loaded configuration
+ * @returns {object[]} Stage definitions: { name, label, patterns, run }
  */
-function getStageFilePatterns(config) {
+function getStages(config) {
+  const stages = [
+    {
+      name: 'hugo',
+      label: 'Hugo Build',
+      patterns: ['hugo.yaml', 'hugo.toml', 'config.yaml', 'config.toml', 'content/**/*', 'layouts/**/*', 'themes/**/layouts/**/*', 'data/**/*'],
+      dependsOn: [],
+      tools: ['hugo'],
+      run: (ctx) => runHugoBuild(ctx.reportDir, ctx.saveLog, ctx.log),
+    },
+    {
+      name: 'css',
+      label: 'CSS Validation',
+      patterns: [config.cssPattern],
+      dependsOn: [], // stylelint reads source files, not the build output
+      configFiles: [`${VALIDATOR_DIR}/.stylelintrc.json`, getBaselinePath(config)],
+      tools: ['stylelint', 'stylelint-config-standard-scss'],
+      run: (ctx) => runCssValidation(ctx.config, ctx.reportDir, ctx.saveLog, ctx.log, ctx.baseline),
+    },
+    {
+      name: 'html',
+      label: 'HTML Validation',
+      patterns: ['public/**/*.html', 'layouts/**/*', 'themes/**/layouts/**/*'],
+      dependsOn: ['hugo'],
+      pageScoped: true,
+      configFiles: [`${VALIDATOR_DIR}/.htmlvalidate.json`, getBaselinePath(config)],
+      tools: ['html-validate'],
+      run: (ctx) => runHtmlValidation(ctx.config, ctx.reportDir, ctx.saveLog, ctx.log, ctx.pages, {
+        cache: ctx.cache,
+        reuse: ctx.useFileCache,
+        key: ctx.cacheKey,
+      }, ctx.baseline),
+    },
+    {
+      name: 'tests',
+      label: 'Playwright Tests',
+      patterns: ['hugo-validator/tests/**/*', 'public/**/*'],
+      dependsOn: ['hugo'],
+      pageScoped: true,
+      configFiles: [`${VALIDATOR_DIR}/playwright.config.ts`, getBaselinePath(config)],
+      tools: ['@playwright/test', '@axe-core/playwright'],
+      env: ['HUGO_VALIDATOR_OFFLINE'], // an offline pass hasn't checked external links
+      run: (ctx) => {
+        // Use --last-failed in interactive mode when previous run had failures
+        const useLastFailed = ctx.isInteractive && !ctx.forceAll && ctx.cache.tests.tests === 'failed';
+        return runPlaywrightTests(ctx.config, ctx.reportDir, ctx.saveLog, useLastFailed, ctx.log, ctx.pages);
+      },
+    },
+  ];
+
+  for (const custom of config.stages || []) {
+    const stage = normalizeCustomStage(custom, stages);
+    const anchor = custom.before || custom.after;
+    const anchorIndex = stages.findIndex(s => s.name === anchor);
+
+    if (anchor && anchorIndex === -1) {
+      throw new Error(`Stage "${stage.name}" is positioned relative to unknown stage "${anchor}"`);
+    }
+
+    if (custom.before) {
+      stages.splice(anchorIndex, 0, stage);
+    } else if (custom.after) {
+      stages.splice(anchorIndex + 1, 0, stage);
+    } else {
+      stages.push(stage);
+    }
+
+    // Without explicit dependencies, a custom stage waits for every stage ordered before it,
+    // and a stage it is placed before waits for it
+    if (!custom.dependsOn) {
+      const index = stages.indexOf(stage);
+      stage.dependsOn = stages.slice(0, index).map(s => s.name);
+      if (custom.before) {
+        stages[index + 1].dependsOn.push(stage.name);
+      }
+    }
+  }
+
+  checkStageGraph(stages);
+
+  return stages;
+}
+
+/**
+ * Ensure every stage dependency exists and the dependency graph has no cycles
+ */
+function checkStageGraph(stages) {
+  const byName = new Map(stages.map(s => [s.name, s]));
+
+  for (const stage of stages) {
+    for (const dep of stage.dependsOn) {
+      if (!byName.has(dep)) {
+        throw new Error(`Stage "${stage.name}" depends on unknown stage "${dep}"`);
+      }
+    }
+  }
+
+  const visiting = new Set();
+  const visited = new Set();
+  const visit = (stage, trail) => {
+    if (visited.has(stage.name)) return;
+    if (visiting.has(stage.name)) {
+      throw new Error(`Stage dependency cycle: ${[...trail, stage.name].join(' -> ')}`);
+    }
+    visiting.add(stage.name);
+    for (const dep of stage.dependsOn) {
+      visit(byName.get(dep), [...trail, stage.name]);
+    }
+    visiting.delete(stage.name);
+    visited.add(stage.name);
+  };
+
+  for (const stage of stages) {
+    visit(stage, []);
+  }
+}
+
+/**
+ * Validate a custom stage from config and convert it to a stage definition
+ */
+function normalizeCustomStage(custom, existingStages) {
+  if (!custom || typeof custom.name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(custom.name)) {
+    throw new Error('Custom stages require a name (letters, numbers, "-" and "_" only)');
+  }
+  if (existingStages.some(s => s.name === custom.name)) {
+    throw new Error(`Duplicate stage name: ${custom.name}`);
+  }
+  if (!custom.command && typeof custom.run !== 'function') {
+    throw new Error(`Stage "${custom.name}" needs either a command or a run function`);
+  }
+  if (custom.before && custom.after) {
+    throw new Error(`Stage "${custom.name}" cannot set both before and after`);
+  }
+
   return {
-    hugo: ['hugo.yaml', 'hugo.toml', 'config.yaml', 'config.toml', 'content/**/*', 'layouts/**/*', 'themes/**/layouts/**/*', 'data/**/*'],
-    css: [config.cssPattern],
-    html: ['public/**/*.html', 'layouts/**/*', 'themes/**/layouts/**/*'],
-    tests: ['hugo-validator/tests/**/*', 'public/**/*'],
+    name: custom.name,
+    label: custom.label || custom.name,
+    patterns: custom.patterns || [],
+    // Without patterns there are no inputs to compare, so smart mode never skips the stage
+    alwaysRun: !custom.patterns || custom.patterns.length === 0,
+    configFiles: custom.configFiles || [],
+    dependsOn: custom.dependsOn ? [...custom.dependsOn] : [],
+    run: (ctx) => runCustomStage(custom, ctx),
   };
 }
 
+/**
+ * Get file patterns for each stage
+ */
+function getStageFilePatterns(config) {
+  const patterns = {};
+  for (const stage of getStages(config)) {
+    patterns[stage.name] = stage.patterns;
+  }
+  return patterns;
+}
+
 /**
  * Get relevant files for a stage using glob patterns
  */
-function getFilesForStage(stage, config) {
-  const patterns = getStageFilePatterns(config)[stage] || [];
-  const files = [];
+function getFilesForStage(stage) {
+  return findFiles(stage.patterns);
+}
+
+/**
+ * Compute the cache key for a stage: everything besides its input files that can change
+ * its result - the resolved hugo-validator config (and version), the stage's tool config
+ * files, the installed tool versions and the environment variables the stage reads
+ */
+function getStageCacheKey(stage, config) {
+  const inputs = {
+    validator: version,
+    // Functions and RegExps (e.g. linkRules urls) would otherwise serialize as nothing or {}
+    config: JSON.stringify(config, (key, value) => {
+      if (typeof value === 'function') return value.toString();
+      if (value instanceof RegExp) return String(value);
+      return value;
+    }),
+    configFiles: {},
+    tools: {},
+    env: {},
+  };
+
+  for (const file of stage.configFiles || []) {
+    inputs.configFiles[file] = hashFile(file);
+  }
+  for (const tool of stage.tools || []) {
+    inputs.tools[tool] = getToolVersion(tool);
+  }
+  for (const name of stage.env || []) {
+    inputs.env[name] = process.env[name] || null;
+  }
+
+  return crypto.createHash('md5').update(JSON.stringify(inputs)).digest('hex');
+}
+
+const toolVersions = new Map();
+
+/**
+ * Get the installed version of a tool (npm package in the project, or the hugo binary)
+ */
+function getToolVersion(tool) {
+  if (toolVersions.has(tool)) return toolVersions.get(tool);
 
-  for (const pattern of patterns) {
+  let version = null;
+  if (tool === 'hugo') {
     try {
-      // Use find command to get files matching pattern
-      const basePath = pattern.split('*')[0].replace(/\/$/, '') || '.';
-      if (fs.existsSync(basePath)) {
-        const output = execSync(`find ${basePath} -type f 2>/dev/null | head -500`, {
-          encoding: 'utf8',
-          stdio: ['pipe', 'pipe', 'pipe']
-        });
-        files.push(...output.trim().split('\n').filter(f => f));
-      }
+      version = execSync('hugo version', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
     } catch {}
+  } else {
+    const candidates = [
+      path.join(process.cwd(), 'node_modules', tool, 'package.json'),
+      path.join(__dirname, '..', 'node_modules', tool, 'package.json'),
+    ];
+    for (const candidate of candidates) {
+      try {
+        version = JSON.parse(fs.readFileSync(candidate, 'utf8')).version;
+        break;
+      } catch {}
+    }
   }
 
-  return [...new Set(files)]; // Deduplicate
+  toolVersions.set(tool, version);
+  return version;
 }
 
 /**
- * Check if files have changed since last run
+ * Check if files (or the stage's cache key) have changed since last run
+ * Stages marked alwaysRun (custom stages without patterns) always count as changed.
  */
 function hasFilesChanged(stage, config, cache) {
-  const files = getFilesForStage(stage, config);
-  const cachedHashes = cache.fileHashes[stage] || {};
+  const files = getFilesForStage(stage);
+  const cachedHashes = cache.fileHashes[stage.name] || {};
   const currentHashes = {};
-  let changed = false;
+  const key = getStageCacheKey(stage, config);
+  let changed = Boolean(stage.alwaysRun) || !cache.stageKeys || cache.stageKeys[stage.name] !== key;
 
-  for (const file of files.slice(0, 100)) { // Limit to 100 files per stage for performance
+  for (const file of files) {
     const hash = hashFile(file);
     if (hash) {
       currentHashes[file] = hash;
@@ -103,7 +313,7 @@ function hasFilesChanged(stage, config, cache) {
     }
   }
 
-  return { changed, hashes: currentHashes };
+  return { changed, hashes: currentHashes, key };
 }
 
 /**
@@ -118,30 +328,80 @@ function isPreCommitHook() {
 /**
  * Run the validation pipeline
  * @param {object} options - CLI options
+ * @param {boolean} [options.silent] - Suppress console output (logs and reports are still written)
+ * @param {Function} [options.onProgress] - Called with (stageName, { status, duration, reason }) as stages run
+ * @param {boolean} [options.updateBaseline] - Record all current findings as the baseline (`hugo-validator baseline`)
  * @returns {number} Exit code (0 = success, 1 = failure)
  */
 async function validate(options = {}) {
-  const config = loadConfig();
+  const { config, configPath } = await resolveConfig();
+  const allStages = getStages(config);
+  const out = options.silent ? () => {} : console.log;
+  const onProgress = options.onProgress || (() => {});
+
+  // Run stages based on --only option (a stage name, comma-separated names, or an array)
+  const only = typeof options.only === 'string' ? options.only.split(',').map(s => s.trim()) : options.only;
+  const unknown = (only || []).filter(name => !allStages.some(s => s.name === name));
+  if (unknown.length > 0) {
+    console.error(`Unknown stage: ${unknown.join(', ')}`);
+    console.error(`Valid stages: ${allStages.map(s => s.name).join(', ')}`);
+    return 1;
+  }
+  const stages = only ? allStages.filter(s => only.includes(s.name)) : allStages;
+
+  if (options.format && !FORMATS[options.format]) {
+    console.error(`Unknown format: ${options.format}`);
+    console.error(`Valid formats: ${Object.keys(FORMATS).join(', ')}`);
+    return 1;
+  }
+
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19).replace('T', '_');
   const reportDir = path.join(config.reportsDir, timestamp);
 
+  // --staged: limit validation to the pages affected by files in the git index
+  let staged = null;
+  if (options.staged) {
+    staged = analyzeStagedFiles(getStagedFiles());
+    if (staged.files.length === 0) {
+      out('No site files staged - nothing to validate');
+      return 0;
+    }
+    if (staged.full) {
+      out(`Staged changes require a full run: ${staged.reason}\n`);
+      staged = null;
+    } else {
+      out(`Validating ${staged.pages.length} pages affected by ${staged.files.length} staged files:`);
+      for (const page of staged.pages) {
+        out(`   ${page}`);
+      }
+      out('');
+    }
+  }
+
   // Determine mode
   const isPreCommit = isPreCommitHook();
-  const isInteractive = options.interactive || (!isPreCommit && !options.full);
-  const forceAll = options.full || options.force || isPreCommit;
+  const isInteractive = options.interactive || (!isPreCommit && !options.full && !options.staged);
+  const forceAll = options.full || options.force || isPreCommit || Boolean(options.staged);
 
   // Load cache for smart skipping
   const cache = loadCache();
 
+  // Findings recorded by `hugo-validator baseline` don't fail the run
+  const baseline = loadBaseline(config);
+
   // Kill dev servers unless --no-kill
   if (options.kill !== false) {
     killPorts(config.portsToKill);
   }
 
+  const concurrency = Math.max(1, parseInt(options.concurrency ?? config.concurrency, 10) || 1);
+  const parallel = concurrency > 1 && stages.length > 1;
+  const parallelNote = parallel ? `, up to ${concurrency} stages at once` : '';
+
   if (isInteractive && !forceAll) {
-    console.log('Running validators (smart mode - skipping unchanged)...\n');
+    out(`Running validators (smart mode - skipping unchanged${parallelNote})...\n`);
   } else {
-    console.log('Running validators...\n');
+    out(`Running validators${parallel ? ` (up to ${concurrency} stages at once)` : ''}...\n`);
   }
 
   // Create reports directory
@@ -151,117 +411,242 @@ async function validate(options = {}) {
 
   let failed = false;
   let anyTestsRan = false;
-  const results = {
-    hugo: { status: 'skipped', log: '' },
-    css: { status: 'skipped', log: '' },
-    html: { status: 'skipped', log: '' },
-    tests: { status: 'skipped', log: '' },
-  };
-
-  // Run stages based on --only option
-  const stages = options.only ? [options.only] : ['hugo', 'css', 'html', 'tests'];
+  const results = {};
+  for (const stage of allStages) {
+    results[stage.name] = { status: 'skipped', log: '' };
+  }
 
-  for (const stage of stages) {
+  const runStage = async (stage, failedDependency) => {
     // Smart skip logic for interactive mode
     let shouldRun = forceAll;
     let skipReason = null;
 
-    if (!forceAll && isInteractive) {
+    if (failedDependency) {
+      shouldRun = false;
+      skipReason = `${failedDependency} failed`;
+    } else if (staged && !stage.pageScoped && !staged.files.some(file => matchesAny(file, stage.patterns))) {
+      shouldRun = false;
+      skipReason = 'not affected by staged files';
+    } else if (!forceAll && isInteractive) {
       const fileCheck = hasFilesChanged(stage, config, cache);
-      const previousResult = cache.tests[stage];
+      const previousResult = cache.tests[stage.name];
 
       if (previousResult === 'passed' && !fileCheck.changed) {
         shouldRun = false;
         skipReason = 'unchanged';
       } else {
         shouldRun = true;
-        // Update file hashes in cache
-        cache.fileHashes[stage] = fileCheck.hashes;
+        // Update file hashes and cache key
+        cache.fileHashes[stage.name] = fileCheck.hashes;
+        cache.stageKeys = { ...cache.stageKeys, [stage.name]: fileCheck.key };
       }
     } else {
       shouldRun = true;
     }
 
     if (!shouldRun) {
-      console.log(`⏭️  ${stage} (skipped - ${skipReason})`);
-      results[stage] = { status: 'skipped', log: `Skipped: ${skipReason}` };
-      continue;
+      out(`⏭️  ${stage.name} (skipped - ${skipReason})`);
+      results[stage.name] = { status: 'skipped', log: `Skipped: ${skipReason}` };
+      onProgress(stage.name, { status: 'skipped', reason: skipReason });
+      return 'skipped';
     }
 
     anyTestsRan = true;
 
-    switch (stage) {
-      case 'hugo':
-        results.hugo = await runHugoBuild(reportDir, options.report !== false);
-        cache.tests.hugo = results.hugo.status;
-        if (results.hugo.status === 'failed') failed = true;
-        break;
-
-      case 'css':
-        results.css = await runCssValidation(config, reportDir, options.report !== false);
-        cache.tests.css = results.css.status;
-        if (results.css.status === 'failed') failed = true;
-        break;
+    // Buffer output while stages overlap so each stage prints as one block
+    const buffer = [];
+    const log = parallel || options.silent ? (...args) => buffer.push(args.join(' ')) : out;
+    const startTime = Date.now();
+    if (parallel) {
+      out(`▶️  ${stage.name} started`);
+    }
+    onProgress(stage.name, { status: 'running' });
+
+    const result = await stage.run({
+      config,
+      reportDir,
+      saveLog: options.report !== false,
+      cache,
+      isInteractive,
+      forceAll,
+      log,
+      pages: staged ? staged.pages : null,
+      useFileCache: !(options.full || options.force),
+      cacheKey: getStageCacheKey(stage, config),
+      baseline,
+    });
+    results[stage.name] = { ...result, duration: (Date.now() - startTime) / 1000 };
 
-      case 'html':
-        results.html = await runHtmlValidation(config, reportDir, options.report !== false);
-        cache.tests.html = results.html.status;
-        if (results.html.status === 'failed') failed = true;
-        break;
+    // Baseline entries can only be reported as fixed when the stage saw every page
+    if (baseline && result.findings && result.baselineChecked !== false && !(staged && stage.pageScoped)) {
+      results[stage.name].fixedBaseline = getFixedEntries(baseline, stage.name, result.findings);
+    }
 
-      case 'tests':
-        // Use --last-failed in interactive mode when previous run had failures
-        const useLastFailed = isInteractive && !forceAll && cache.tests.tests === 'failed';
-        results.tests = await runPlaywrightTests(config, reportDir, options.report !== false, useLastFailed);
-        cache.tests.tests = results.tests.status;
-        if (results.tests.status === 'failed') failed = true;
-        break;
+    if (parallel) {
+      const seconds = results[stage.name].duration.toFixed(1);
+      out(`\n── ${stage.name} finished (${seconds}s) ──`);
+      if (buffer.length > 0) {
+        out(buffer.join('\n'));
+      }
+    }
 
-      default:
-        console.error(`Unknown stage: ${stage}`);
-        console.error('Valid stages: hugo, css, html, tests');
-        return 1;
+    // A run limited to staged pages says nothing about the rest of the site
+    if (!(staged && stage.pageScoped)) {
+      cache.tests[stage.name] = results[stage.name].status;
     }
-  }
+    if (results[stage.name].status === 'failed') failed = true;
+    onProgress(stage.name, { status: results[stage.name].status, duration: results[stage.name].duration });
+    return results[stage.name].status;
+  };
+
+  await runStageGraph(stages, concurrency, runStage);
 
   // Save cache after run
   cache.lastRun = new Date().toISOString();
   saveCache(cache);
 
+  if (options.updateBaseline) {
+    return recordBaseline(config, allStages, results, out);
+  }
+
+  const fixedCount = allStages.reduce((sum, s) => sum + (results[s.name].fixedBaseline || []).reduce((n, entry) => n + entry.count, 0), 0);
+
+  const summary = buildRunSummary(allStages, results, timestamp);
+
+  // Keep a run summary with each report so later runs can be compared (`report diff`),
+  // and an HTML dashboard for triage
+  let changes = null;
+  if (options.report !== false) {
+    const previous = getPreviousRun(config, timestamp);
+    changes = previous ? diffRuns(previous, summary) : null;
+    fs.writeFileSync(path.join(reportDir, RESULTS_FILE), formatResults('json', summary));
+
+    const htmlReport = path.join(reportDir, 'report.html');
+    fs.writeFileSync(htmlReport, renderHtmlReport(summary, {
+      logs: Object.fromEntries(allStages.map(s => [s.name, results[s.name].log])),
+      changes,
+      baseUrl: `http://localhost:${config.testServerPort}`,
+      reportDir,
+      publicDir: config.testServer.publicDir,
+    }));
+    out(`Generated ${htmlReport}`);
+  }
+
+  // Write machine-readable results (--format json|junit|sarif)
+  if (options.format) {
+    const outputFile = options.output || path.join(reportDir, getDefaultOutputFile(options.format));
+    fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+    fs.writeFileSync(outputFile, formatResults(options.format, summary, {
+      configFile: configPath ? path.relative(process.cwd(), configPath) : path.posix.join(VALIDATOR_DIR, CONFIG_FILENAME),
+      publicDir: config.testServer.publicDir,
+    }));
+    out(`Wrote ${options.format} results to ${outputFile}`);
+  }
+
   // Generate report (check both CLI option and config setting)
   const shouldGenerateReport = options.report !== false && config.generateReport !== false;
   if (shouldGenerateReport) {
-    generateReport(config, results, reportDir, timestamp);
+    generateReport(config, allStages, results, reportDir, timestamp, out, changes);
+  }
+
+  // Every run with a report directory counts toward retention, markdown report or not
+  if (options.report !== false) {
     cleanupOldReports(config);
   }
 
-  console.log('');
+  out('');
+
+  if (fixedCount > 0) {
+    out(`🎉 ${fixedCount} baselined findings no longer occur - run \`hugo-validator baseline\` to shrink ${getBaselinePath(config)}\n`);
+  }
 
   // In interactive mode, if all passed, suggest running full validation
   if (!failed && isInteractive && !forceAll && !anyTestsRan) {
-    console.log(`✅ All tests previously passed (no changes detected)`);
-    console.log(`   Run with --full to force all tests`);
+    out(`✅ All tests previously passed (no changes detected)`);
+    out(`   Run with --full to force all tests`);
     return 0;
   }
 
   if (failed) {
-    console.log(`❌ Validation failed`);
+    out(`❌ Validation failed`);
     if (shouldGenerateReport) {
-      console.log(`   See: ${config.reportFilename}`);
+      out(`   See: ${config.reportFilename}`);
     }
     if (isInteractive && !forceAll) {
-      console.log(`\n   Fix issues and re-run. Only failed tests will run.`);
+      out(`\n   Fix issues and re-run. Only failed tests will run.`);
     }
     return 1;
   }
 
-  console.log(`✅ All validations passed`);
+  out(`✅ All validations passed`);
   if (shouldGenerateReport) {
-    console.log(`   Report: ${config.reportFilename}`);
+    out(`   Report: ${config.reportFilename}`);
+  }
+  return 0;
+}
+
+/**
+ * Write the findings of a full run to the baseline file
+ * Only findings tied to a file or page (html-validate, stylelint and axe) are recorded.
+ * @returns {number} Exit code
+ */
+function recordBaseline(config, stages, results, out) {
+  if (results.hugo?.status === 'failed') {
+    console.error('❌ Hugo build failed - cannot record a baseline');
+    return 1;
   }
+
+  const findings = [];
+  for (const stage of stages) {
+    const result = results[stage.name];
+    const recordable = (result.findings || []).filter(f => f.file || f.url);
+    if (result.status === 'failed' && recordable.length === 0 && BASELINE_STAGES.includes(stage.name)) {
+      out(`⚠️  ${stage.label} failed without findings - its baseline entries may be incomplete`);
+    }
+    findings.push(...recordable.map(f => ({ ...f, stage: stage.name })));
+  }
+
+  const baselinePath = writeBaseline(config, findings);
+  out(`📌 Recorded ${findings.length} findings in ${baselinePath}`);
+  out('   Commit it - validate now fails only on new findings');
   return 0;
 }
 
+/**
+ * Run stages respecting their dependencies, with at most `concurrency` running at once
+ * Dependencies outside the selected stages (e.g. with --only) count as satisfied.
+ * @param {object[]} stages - Stages to run, in priority order
+ * @param {number} concurrency - Maximum number of stages running at once
+ * @param {Function} runStage - (stage, failedDependency) => Promise<status>
+ */
+async function runStageGraph(stages, concurrency, runStage) {
+  const selected = new Set(stages.map(s => s.name));
+  const pending = [...stages];
+  const finished = new Map(); // name -> status
+  const running = new Map(); // name -> promise
+
+  while (pending.length > 0 || running.size > 0) {
+    for (const stage of [...pending]) {
+      if (running.size >= concurrency) break;
+
+      const deps = stage.dependsOn.filter(d => selected.has(d));
+      if (!deps.every(d => finished.has(d))) continue;
+
+      pending.splice(pending.indexOf(stage), 1);
+      const failedDependency = deps.find(d => finished.get(d) === 'failed' || finished.get(d) === 'blocked');
+      const promise = runStage(stage, failedDependency).then((status) => {
+        // Dependents of a stage skipped for a failed dependency are blocked as well
+        finished.set(stage.name, failedDependency ? 'blocked' : status);
+        running.delete(stage.name);
+      });
+      running.set(stage.name, promise);
+    }
+
+    if (running.size === 0) break;
+    await Promise.race(running.values());
+  }
+}
+
 /**
  * Clear the validation cache
  */
@@ -296,16 +681,25 @@ function killPorts(ports) {
   execSync('sleep 1', { stdio: 'ignore' });
 }
 
+/**
+ * Run a shell command without blocking, so independent stages can overlap
+ * Resolves with stdout; rejects like execSync (error.stdout / error.stderr set)
+ */
+async function runShell(command) {
+  const { stdout } = await execAsync(command, {
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024,
+  });
+  return stdout;
+}
+
 /**
  * Run Hugo build
  */
-async function runHugoBuild(reportDir, saveLog) {
+async function runHugoBuild(reportDir, saveLog, log = console.log) {
   try {
-    const output = execSync('hugo --panicOnWarning', {
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe'],
-    });
-    console.log('✅ Hugo build');
+    const output = await runShell('hugo --panicOnWarning');
+    log('✅ Hugo build');
 
     if (saveLog) {
       fs.writeFileSync(path.join(reportDir, 'hugo-build.log'), output);
@@ -313,11 +707,11 @@ async function runHugoBuild(reportDir, saveLog) {
 
     return { status: 'passed', log: output };
   } catch (error) {
-    console.log('❌ Hugo build failed (or has warnings)');
-    console.log(`   See: ${reportDir}/hugo-build.log`);
+    log('❌ Hugo build failed (or has warnings)');
+    if (saveLog) log(`   See: ${reportDir}/hugo-build.log`);
 
     const output = (error.stdout || '') + (error.stderr || '') || error.message;
-    console.log(output);
+    log(output);
 
     if (saveLog) {
       fs.writeFileSync(path.join(reportDir, 'hugo-build.log'), output);
@@ -330,105 +724,252 @@ async function runHugoBuild(reportDir, saveLog) {
 /**
  * Run CSS validation with stylelint
  */
-async function runCssValidation(config, reportDir, saveLog) {
-  // Escape single quotes in pattern to prevent command injection
-  const safePattern = config.cssPattern.replace(/'/g, "'\\''");
+async function runCssValidation(config, reportDir, saveLog, log = console.log, baseline = null) {
+  let findings;
+  let fileCount;
+
   try {
-    const output = execSync(
-      `npx stylelint --config hugo-validator/.stylelintrc.json --formatter verbose '${safePattern}'`,
-      { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }
-    );
-    console.log('✅ CSS validation');
+    const stylelint = (await import('stylelint')).default;
+    const result = await stylelint.lint({
+      files: config.cssPattern,
+      configFile: path.resolve(VALIDATOR_DIR, '.stylelintrc.json'),
+    });
 
-    if (saveLog) {
-      fs.writeFileSync(path.join(reportDir, 'css-validation.log'), output);
+    fileCount = result.results.length;
+    findings = [];
+    for (const fileResult of result.results) {
+      const file = path.relative(process.cwd(), fileResult.source);
+      for (const warning of fileResult.warnings) {
+        findings.push({
+          file,
+          line: warning.line,
+          column: warning.column,
+          rule: warning.rule,
+          severity: warning.severity === 'error' ? 'error' : 'warning',
+          // stylelint appends " (rule-name)" to the message text
+          message: warning.text.replace(` (${warning.rule})`, ''),
+        });
+      }
+      for (const invalid of fileResult.invalidOptionWarnings || []) {
+        findings.push({ file, rule: 'invalid-option', severity: 'error', message: invalid.text });
+      }
     }
-
-    return { status: 'passed', log: output };
   } catch (error) {
-    console.log('❌ CSS validation failed');
-    console.log(`   See: ${reportDir}/css-validation.log`);
-
-    const output = error.stdout || error.stderr || error.message;
-    console.log(output);
-
-    if (saveLog) {
-      fs.writeFileSync(path.join(reportDir, 'css-validation.log'), output);
-    }
-
-    return { status: 'failed', log: output };
+    return failStage('CSS validation', 'css-validation.log', error.message, reportDir, saveLog, log);
   }
+
+  return finishLintStage('CSS validation', 'css-validation.log', findings, fileCount, reportDir, saveLog, log, { baseline });
 }
 
 /**
- * Run HTML validation
+ * Run HTML validation with html-validate
+ * Each file's hash and findings are cached, so only new or changed files are validated again.
+ * @param {string[]|null} [pages] - Limit validation to these page URL paths (--staged)
+ * @param {object} [fileCache] - { cache, reuse }: the validation cache, and whether cached results may be used
+ * @param {object} [baseline] - Known findings that don't fail the stage
  */
-async function runHtmlValidation(config, reportDir, saveLog) {
+async function runHtmlValidation(config, reportDir, saveLog, log = console.log, pages = null, fileCache = null, baseline = null) {
+  let findings;
+  let files;
+  let reused = 0;
+
   try {
-    // Count HTML files
-    let htmlCount = 0;
-    try {
-      const countOutput = execSync('find public -name "*.html" | wc -l', { encoding: 'utf8' });
-      htmlCount = parseInt(countOutput.trim(), 10);
-    } catch {}
+    const { CLI } = require('html-validate');
+    const pattern = config.htmlValidation?.pattern || 'public/**/*.html';
+    files = findFiles([pattern], { ignore: config.htmlValidation?.exclude || [] });
+    if (pages) {
+      const pageFiles = new Set(pages.map(page => pageToFile(page, config.testServer.publicDir)));
+      files = files.filter(file => pageFiles.has(file));
+    }
 
-    // Build find command with exclude patterns
-    let findCmd = 'find public -name "*.html"';
-    const excludes = config.htmlValidation?.exclude || [];
-    for (const pattern of excludes) {
-      // Convert glob to find pattern (e.g., **/page/*/index.html -> */page/*/index.html)
-      const findPattern = pattern.replace(/^\*\*\//, '*/');
-      findCmd += ` -not -path '${findPattern}'`;
+    // Resolve the config file the same way `html-validate --config` does
+    const configFile = path.join(VALIDATOR_DIR, '.htmlvalidate.json');
+    const cli = new CLI({ configFile });
+    const htmlvalidate = await cli.getValidator();
+
+    // Cached results are only valid for the config and html-validate version they were produced with
+    const cache = fileCache?.cache;
+    if (cache && (cache.htmlCacheKey !== fileCache.key || !cache.htmlFiles)) {
+      cache.htmlFiles = {};
+      cache.htmlCacheKey = fileCache.key;
     }
-    findCmd += ' | xargs npx html-validate --config hugo-validator/.htmlvalidate.json --formatter stylish';
 
-    const output = execSync(findCmd, {
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe'],
-      shell: true,
-    });
+    findings = [];
+    for (const file of files) {
+      const hash = hashFile(file);
+      const cached = cache?.htmlFiles[file];
 
-    console.log('✅ HTML validation');
+      if (fileCache?.reuse && cached && cached.hash === hash) {
+        findings.push(...cached.findings);
+        reused++;
+        continue;
+      }
 
-    const logContent = `Validating ${htmlCount} HTML files...\n${output}\n${htmlCount} files validated, 0 errors`;
+      const fileFindings = [];
+      const report = await htmlvalidate.validateFile(file);
+      for (const fileResult of report.results) {
+        for (const message of fileResult.messages) {
+          fileFindings.push({
+            file,
+            line: message.line,
+            column: message.column,
+            rule: message.ruleId,
+            severity: message.severity === 2 ? 'error' : 'warning',
+            message: message.message,
+            ...(message.selector ? { selector: message.selector } : {}),
+          });
+        }
+      }
 
-    if (saveLog) {
-      fs.writeFileSync(path.join(reportDir, 'html-validation.log'), logContent);
+      findings.push(...fileFindings);
+      if (cache) {
+        cache.htmlFiles[file] = { hash, findings: fileFindings };
+      }
     }
 
-    return { status: 'passed', log: logContent };
+    // Forget files that no longer exist (a --staged run only sees some of them)
+    if (cache && !pages) {
+      const current = new Set(files);
+      for (const file of Object.keys(cache.htmlFiles)) {
+        if (!current.has(file)) delete cache.htmlFiles[file];
+      }
+    }
   } catch (error) {
-    console.log('❌ HTML validation failed');
-    console.log(`   See: ${reportDir}/html-validation.log`);
+    return failStage('HTML validation', 'html-validation.log', error.message, reportDir, saveLog, log);
+  }
 
-    const output = error.stdout || error.stderr || error.message;
-    console.log(output);
+  return finishLintStage('HTML validation', 'html-validation.log', findings, files.length, reportDir, saveLog, log, { cachedCount: reused, baseline });
+}
 
-    if (saveLog) {
-      fs.writeFileSync(path.join(reportDir, 'html-validation.log'), output);
+/**
+ * Log and record the result of a linting stage from its findings
+ * The stage fails when any finding not in the baseline has error severity.
+ * @param {object} [options]
+ * @param {number} [options.cachedCount] - Number of unchanged files whose findings came from the cache
+ * @param {object} [options.baseline] - Known findings, reported as a count instead of listed
+ */
+function finishLintStage(label, logName, findings, fileCount, reportDir, saveLog, log, { cachedCount = 0, baseline = null } = {}) {
+  const marked = applyBaseline(findings, baseline);
+  const active = marked.filter(f => !f.baselined);
+  const known = marked.length - active.length;
+  const errors = active.filter(f => f.severity === 'error').length;
+  const warnings = active.length - errors;
+  const cachedNote = cachedCount > 0 ? ` (${cachedCount} unchanged, results from cache)` : '';
+  const knownNote = known > 0 ? `, ${known} known issues in baseline` : '';
+  const summary = `${fileCount} files validated${cachedNote}, ${errors} errors, ${warnings} warnings${knownNote}`;
+  const output = active.length > 0 ? `${formatFindingsText(active)}\n\n${summary}` : summary;
+  const status = errors > 0 ? 'failed' : 'passed';
+
+  if (status === 'failed') {
+    log(`❌ ${label} failed`);
+    if (saveLog) log(`   See: ${reportDir}/${logName}`);
+    log(output);
+  } else {
+    const notes = [warnings > 0 ? `${warnings} warnings` : '', known > 0 ? `${known} known issues in baseline` : ''].filter(Boolean);
+    log(`✅ ${label}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`);
+  }
+
+  if (saveLog) {
+    fs.writeFileSync(path.join(reportDir, logName), output);
+  }
+
+  return { status, log: output, findings: marked };
+}
+
+/**
+ * Log and record a stage that could not run (e.g. missing config or tool error)
+ */
+function failStage(label, logName, output, reportDir, saveLog, log) {
+  log(`❌ ${label} failed`);
+  if (saveLog) log(`   See: ${reportDir}/${logName}`);
+  log(output);
+
+  if (saveLog) {
+    fs.writeFileSync(path.join(reportDir, logName), output);
+  }
+
+  return { status: 'failed', log: output, findings: [] };
+}
+
+/**
+ * Run a custom stage from config (shell command or JS function)
+ */
+async function runCustomStage(stage, ctx) {
+  const label = stage.label || stage.name;
+  const logFile = path.join(ctx.reportDir, `${stage.name}.log`);
+  let result;
+
+  try {
+    if (stage.command) {
+      const output = await runShell(stage.command);
+      result = { status: 'passed', log: output };
+    } else {
+      const returned = await stage.run({ config: ctx.config, reportDir: ctx.reportDir });
+      result = normalizeStageResult(returned);
     }
+  } catch (error) {
+    const output = (error.stdout || '') + (error.stderr || '') || error.message;
+    result = { status: 'failed', log: output };
+  }
 
-    return { status: 'failed', log: output };
+  if (result.status === 'failed') {
+    ctx.log(`❌ ${label} failed`);
+    if (ctx.saveLog) ctx.log(`   See: ${logFile}`);
+    ctx.log(result.log);
+  } else {
+    ctx.log(`✅ ${label}`);
+  }
+
+  if (ctx.saveLog) {
+    fs.writeFileSync(logFile, result.log);
   }
+
+  return result;
+}
+
+/**
+ * Normalize the return value of a custom stage run function
+ * Accepts a boolean, a string (log), or { status, log }
+ */
+function normalizeStageResult(returned) {
+  if (returned === false) return { status: 'failed', log: '' };
+  if (returned === undefined || returned === true) return { status: 'passed', log: '' };
+  if (typeof returned === 'string') return { status: 'passed', log: returned };
+
+  return {
+    status: returned.status === 'failed' ? 'failed' : 'passed',
+    log: returned.log || '',
+    findings: returned.findings || [],
+  };
 }
 
 /**
  * Run Playwright tests
  * @param {boolean} lastFailedOnly - If true, only run previously failed tests
+ * @param {Function} [log] - Output function (buffered when stages run in parallel)
+ * @param {string[]|null} [pages] - Limit page-crawling tests to these URL paths (--staged)
  */
-async function runPlaywrightTests(config, reportDir, saveLog, lastFailedOnly = false) {
+async function runPlaywrightTests(config, reportDir, saveLog, lastFailedOnly = false, log = console.log, pages = null) {
   return new Promise((resolve) => {
     const args = ['playwright', 'test', '--config', 'hugo-validator/playwright.config.ts'];
 
     if (lastFailedOnly) {
       args.push('--last-failed');
-      console.log('Running Playwright tests (failed tests only)...');
+      log('Running Playwright tests (failed tests only)...');
+    } else if (pages) {
+      log(`Running Playwright tests (${pages.length} staged pages)...`);
     } else {
-      console.log('Running Playwright tests...');
+      log('Running Playwright tests...');
+    }
+
+    const env = { ...process.env };
+    if (pages) {
+      env.HUGO_VALIDATOR_PAGES = pages.join(',');
     }
 
     const playwright = spawn('npx', args, {
       stdio: ['pipe', 'pipe', 'pipe'],
+      env,
     });
 
     let output = '';
@@ -442,102 +983,148 @@ async function runPlaywrightTests(config, reportDir, saveLog, lastFailedOnly = f
     });
 
     playwright.on('close', (code) => {
+      let results = null;
+
       // Display formatted results from results.json
       const resultsPath = path.join('hugo-validator', 'test-results', 'results.json');
       if (fs.existsSync(resultsPath)) {
         try {
-          const results = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
-          console.log('');
+          results = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+          log('');
 
           for (const suite of results.suites) {
-            console.log(`\n📋 ${suite.suite}`);
+            log(`\n📋 ${suite.suite}`);
             for (const test of suite.tests) {
               const icon = test.status === 'passed' ? '✅' : test.status === 'failed' ? '❌' : '⏭️';
-              console.log(`   ${icon} ${test.name} (${test.duration})`);
+              log(`   ${icon} ${test.name} (${test.duration})`);
               for (const line of test.output) {
-                console.log(`      ${line}`);
+                log(`      ${line}`);
               }
               for (const err of test.errors) {
-                console.log(`      ❗ ${err}`);
+                log(`      ❗ ${err}`);
               }
             }
           }
 
-          console.log(`\n📊 Summary: ${results.passed} passed, ${results.failed} failed, ${results.skipped} skipped (${results.duration})`);
-          console.log('');
+          log(`\n📊 Summary: ${results.passed} passed, ${results.failed} failed, ${results.skipped} skipped (${results.duration})`);
+          log('');
 
-          // Copy results to report dir
+          // Copy results (and screenshots, which the next run deletes) to report dir
           if (saveLog) {
-            fs.copyFileSync(resultsPath, path.join(reportDir, 'playwright-results.json'));
+            copyScreenshots(results, reportDir);
+            fs.writeFileSync(path.join(reportDir, 'playwright-results.json'), JSON.stringify(results, null, 2));
           }
         } catch (e) {
           // Couldn't parse results, just show raw output
-          console.log(output);
+          log(output);
         }
       } else {
-        console.log(output);
+        log(output);
       }
 
       if (saveLog) {
         fs.writeFileSync(path.join(reportDir, 'playwright.log'), output);
       }
 
+      // Tests that attach structured findings (accessibility) report those instead of their error
+      const findings = [];
+      let baselineChecked = false;
+      for (const suite of results?.suites || []) {
+        for (const test of suite.tests) {
+          if (test.findings) {
+            findings.push(...test.findings);
+            baselineChecked = !lastFailedOnly;
+            continue;
+          }
+          for (const err of test.errors) {
+            findings.push({ rule: `${suite.suite} › ${test.name}`, severity: 'error', message: err });
+          }
+        }
+      }
+
       if (code !== 0) {
-        console.log('❌ Playwright tests failed');
-        console.log(`   See: ${reportDir}/playwright.log`);
-        resolve({ status: 'failed', log: output });
+        log('❌ Playwright tests failed');
+        if (saveLog) log(`   See: ${reportDir}/playwright.log`);
+        resolve({ status: 'failed', log: output, findings, baselineChecked, playwright: results });
       } else {
-        console.log('✅ Playwright tests');
-        resolve({ status: 'passed', log: output });
+        log('✅ Playwright tests');
+        resolve({ status: 'passed', log: output, findings, baselineChecked, playwright: results });
       }
     });
   });
 }
 
 /**
- * Generate combined validation report
+ * Copy test screenshots into the report directory, pointing the results at the copies
  */
-function generateReport(config, results, reportDir, timestamp) {
-  const hugoStatus = results.hugo.status === 'passed' ? 'PASSED' : results.hugo.status === 'failed' ? 'FAILED' : 'SKIPPED';
-  const cssStatus = results.css.status === 'passed' ? 'PASSED' : results.css.status === 'failed' ? 'FAILED' : 'SKIPPED';
-  const htmlStatus = results.html.status === 'passed' ? 'PASSED' : results.html.status === 'failed' ? 'FAILED' : 'SKIPPED';
-  const testStatus = results.tests.status === 'passed' ? 'PASSED' : results.tests.status === 'failed' ? 'FAILED' : 'SKIPPED';
+function copyScreenshots(results, reportDir) {
+  let count = 0;
+  for (const suite of results.suites) {
+    for (const test of suite.tests) {
+      for (const screenshot of test.screenshots || []) {
+        const relative = path.join('screenshots', `${++count}-${path.basename(screenshot.path)}`);
+        try {
+          fs.mkdirSync(path.join(reportDir, 'screenshots'), { recursive: true });
+          fs.copyFileSync(screenshot.path, path.join(reportDir, relative));
+          screenshot.path = relative;
+        } catch {}
+      }
+    }
+  }
+}
 
+/**
+ * Generate combined validation report
+ * @param {object|null} [changes] - Comparison with the previous run, from diffRuns()
+ */
+function generateReport(config, stages, results, reportDir, timestamp, log = console.log, changes = null) {
   let report = `# Validation Report
 
 Generated: ${new Date().toLocaleString()}
 
----
-
-## Hugo Build: ${hugoStatus === 'PASSED' ? '✅ PASSED' : hugoStatus === 'FAILED' ? '❌ FAILED' : '⏭️ SKIPPED'}
-
-\`\`\`
-${results.hugo.log.trim() || 'Not run'}
-\`\`\`
+`;
 
----
+  if (changes) {
+    report += `## Changes since last run (${changes.old})\n\n${formatDiff(changes)}`;
+  }
 
-## CSS Validation: ${cssStatus === 'PASSED' ? '✅ PASSED' : cssStatus === 'FAILED' ? '❌ FAILED' : '⏭️ SKIPPED'}
+  for (const stage of stages) {
+    const result = results[stage.name];
+    const heading = result.status === 'passed' ? '✅ PASSED' : result.status === 'failed' ? '❌ FAILED' : '⏭️ SKIPPED';
 
-\`\`\`
-${results.css.log.trim() || 'Not run'}
-\`\`\`
+    report += `---\n\n## ${stage.label}: ${heading}\n\n`;
 
----
+    if (stage.name === 'tests') {
+      report += formatPlaywrightResults(reportDir);
+    } else {
+      report += `\`\`\`\n${result.log.trim() || 'Not run'}\n\`\`\`\n\n`;
+    }
 
-## HTML Validation: ${htmlStatus === 'PASSED' ? '✅ PASSED' : htmlStatus === 'FAILED' ? '❌ FAILED' : '⏭️ SKIPPED'}
+    if (result.fixedBaseline?.length > 0) {
+      report += `**Fixed since baseline** (run \`hugo-validator baseline\` to remove):\n`;
+      for (const entry of result.fixedBaseline) {
+        const times = entry.count > 1 ? ` x${entry.count}` : '';
+        report += `- ${entry.file || entry.url}: ${entry.selector || entry.message} (${entry.rule})${times}\n`;
+      }
+      report += `\n`;
+    }
+  }
 
-\`\`\`
-${results.html.log.trim() || 'Not run'}
-\`\`\`
+  const allSkippedOrPassed = stages.every(stage => results[stage.name].status !== 'failed');
 
----
+  report += `\n---\n\n`;
+  report += allSkippedOrPassed ? `## ✅ All validations passed\n` : `## ❌ Some validations failed\n`;
 
-## Playwright Tests: ${testStatus === 'PASSED' ? '✅ PASSED' : testStatus === 'FAILED' ? '❌ FAILED' : '⏭️ SKIPPED'}
+  fs.writeFileSync(config.reportFilename, report);
+  log(`Generated ${config.reportFilename}`);
+}
 
-`;
+/**
+ * Format Playwright results (if available) as Markdown tables
+ */
+function formatPlaywrightResults(reportDir) {
+  let report = '';
 
-  // Add Playwright results if available
   const resultsPath = path.join(reportDir, 'playwright-results.json');
   if (fs.existsSync(resultsPath)) {
     try {
@@ -566,49 +1153,13 @@ ${results.html.log.trim() || 'Not run'}
         }
       }
 
-      report += `---\n\n`;
-      report += `## Summary\n\n`;
+      report += `### Summary\n\n`;
       report += `- **Tests:** ${testResults.passed} passed, ${testResults.failed} failed, ${testResults.skipped} skipped\n`;
-      report += `- **Duration:** ${testResults.duration}\n`;
+      report += `- **Duration:** ${testResults.duration}\n\n`;
     } catch {}
   }
 
-  const allPassed = hugoStatus === 'PASSED' && cssStatus === 'PASSED' && htmlStatus === 'PASSED' && testStatus === 'PASSED';
-  const allSkippedOrPassed = ['PASSED', 'SKIPPED'].includes(hugoStatus) &&
-                              ['PASSED', 'SKIPPED'].includes(cssStatus) &&
-                              ['PASSED', 'SKIPPED'].includes(htmlStatus) &&
-                              ['PASSED', 'SKIPPED'].includes(testStatus) &&
-                              !['FAILED'].includes(hugoStatus) &&
-                              !['FAILED'].includes(cssStatus) &&
-                              !['FAILED'].includes(htmlStatus) &&
-                              !['FAILED'].includes(testStatus);
-
-  report += `\n---\n\n`;
-  report += allSkippedOrPassed ? `## ✅ All validations passed\n` : `## ❌ Some validations failed\n`;
-
-  fs.writeFileSync(config.reportFilename, report);
-  console.log(`Generated ${config.reportFilename}`);
-}
-
-/**
- * Clean up old reports, keeping only the most recent N
- */
-function cleanupOldReports(config) {
-  const reportsDir = config.reportsDir;
-  if (!fs.existsSync(reportsDir)) return;
-
-  try {
-    const reports = fs.readdirSync(reportsDir)
-      .filter(f => fs.statSync(path.join(reportsDir, f)).isDirectory())
-      .sort()
-      .reverse();
-
-    // Remove old reports beyond retention limit
-    for (let i = config.reportRetention; i < reports.length; i++) {
-      const reportPath = path.join(reportsDir, reports[i]);
-      fs.rmSync(reportPath, { recursive: true, force: true });
-    }
-  } catch {}
+  return report;
 }
 
-module.exports = { validate, clearCache };
+module.exports = { validate, clearCache, killPorts, getStages, getStageFilePatterns };
@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveConfig, VALIDATOR_DIR } = require('./config');
+const { findFiles, matchesAny } = require('./files');
+const { validate, killPorts, getStages } = require('./validate');
+
+// Build output and our own artifacts never trigger a run - stages that read them
+// are re-run as dependents of the stage that produced them
+const OUTPUT_DIRS = /^(public|resources)\//;
+const IGNORED_PATTERNS = [`${VALIDATOR_DIR}/reports/**`, `${VALIDATOR_DIR}/test-results/**`, `${VALIDATOR_DIR}/.*`];
+const CONFIG_PATTERN = `${VALIDATOR_DIR}/hugo-validator.config.*`;
+
+const STATUS_ICONS = {
+  pending: '⏸️ ',
+  running: '🔄',
+  passed: '✅',
+  failed: '❌',
+  skipped: '⏭️ ',
+};
+
+/**
+ * Watch source files and re-run the affected stages on change
+ * @param {object} options - CLI options
+ * @param {number} [options.interval] - Polling interval in milliseconds
+ * @param {boolean} [options.kill] - Set to false to skip killing dev servers at startup
+ * @param {number} [options.concurrency] - Maximum number of stages to run at once
+ */
+async function watch(options = {}) {
+  const interval = Math.max(100, parseInt(options.interval, 10) || 1000);
+  const isTTY = process.stdout.isTTY;
+
+  const { configPath, config: initialConfig } = await resolveConfig();
+  let config = initialConfig;
+  let stages = getStages(config);
+
+  // Any config file (one may be created or renamed while watching), plus an explicit --config
+  const configPatterns = [CONFIG_PATTERN];
+  if (configPath) {
+    configPatterns.push(path.relative(process.cwd(), configPath).split(path.sep).join('/'));
+  }
+  let snapshot = takeSnapshot(stages, configPatterns);
+
+  const state = {
+    stages: {},
+    lastChange: null,
+    lastRun: null,
+    exitCode: null,
+    error: null,
+    running: false,
+  };
+
+  const resetState = () => {
+    state.stages = {};
+    for (const stage of stages) {
+      state.stages[stage.name] = { status: 'pending' };
+    }
+  };
+  resetState();
+
+  const render = () => {
+    if (!isTTY) return;
+    process.stdout.write('\x1b[2J\x1b[H');
+    process.stdout.write(renderPanel(stages, state, snapshot.size));
+  };
+
+  // Errors from validate itself (unreadable files, a bad stage graph) are shown in the panel
+  // and watching carries on - the next change gets another try
+  const showError = (error) => {
+    state.error = error.message;
+    if (!isTTY) console.error(`\n❌ ${error.message}`);
+  };
+
+  const run = async (stageNames) => {
+    state.running = true;
+    state.error = null;
+    for (const name of stageNames) {
+      state.stages[name] = { status: 'pending' };
+    }
+    render();
+
+    try {
+      state.exitCode = await validate({
+        only: stageNames,
+        kill: false,
+        concurrency: options.concurrency,
+        silent: true,
+        onProgress: (name, progress) => {
+          state.stages[name] = progress;
+          if (isTTY) {
+            render();
+          } else if (progress.status !== 'running') {
+            console.log(formatStageLine(name, progress));
+          }
+        },
+      });
+    } catch (error) {
+      state.exitCode = 1;
+      for (const name of stageNames) {
+        if (state.stages[name]?.status === 'running') {
+          state.stages[name] = { status: 'failed', reason: 'error' };
+        }
+      }
+      showError(error);
+    } finally {
+      state.running = false;
+      state.lastRun = new Date();
+      render();
+    }
+
+    if (!isTTY && !state.error) {
+      console.log(state.exitCode === 0 ? '✅ All validations passed' : `❌ Validation failed - see ${config.reportFilename}`);
+    }
+  };
+
+  if (options.kill !== false) {
+    killPorts(config.portsToKill);
+  }
+
+  if (!isTTY) {
+    console.log(`Watching ${snapshot.size} files for changes (Ctrl+C to stop)...`);
+  }
+
+  // Initial run - smart mode skips stages that are unchanged since the last run
+  await run(stages.map(s => s.name));
+
+  let pendingChanges = [];
+
+  const checkForChanges = async () => {
+    const current = takeSnapshot(stages, configPatterns);
+    pendingChanges.push(...diffSnapshots(snapshot, current));
+    snapshot = current;
+
+    if (pendingChanges.length > 0 && !state.running) {
+      const changes = [...new Set(pendingChanges)];
+      pendingChanges = [];
+
+      // Config changes reload the stage list and re-run everything
+      // (an invalid config keeps the previous one until it is fixed)
+      const configChanged = changes.some(file => matchesAny(file, configPatterns));
+      if (configChanged) {
+        try {
+          const newConfig = (await resolveConfig()).config;
+          stages = getStages(newConfig);
+          config = newConfig;
+        } catch (error) {
+          showError(error);
+          render();
+          return;
+        }
+        snapshot = takeSnapshot(stages, configPatterns);
+        resetState();
+      }
+
+      const affected = configChanged
+        ? stages.map(s => s.name)
+        : getAffectedStages(stages, changes);
+
+      state.lastChange = changes.length === 1 ? changes[0] : `${changes[0]} (+${changes.length - 1} more)`;
+      if (!isTTY) {
+        console.log(`\nChanged: ${state.lastChange}`);
+      }
+
+      if (affected.length > 0) {
+        await run(affected);
+      } else {
+        render();
+      }
+    }
+  };
+
+  const poll = async () => {
+    try {
+      await checkForChanges();
+    } catch (error) {
+      showError(error);
+      render();
+    } finally {
+      setTimeout(poll, interval);
+    }
+  };
+
+  setTimeout(poll, interval);
+
+  // Keep running until interrupted
+  await new Promise((resolve) => {
+    process.once('SIGINT', () => {
+      console.log('\nStopped watching');
+      resolve();
+    });
+  });
+
+  return 0;
+}
+
+/**
+ * Record modification time and size of every watched file
+ * Stage config files (.stylelintrc.json, the baseline, ...) are watched even where
+ * IGNORED_PATTERNS would skip them, since they are part of the stage's cache key.
+ * @returns {Map<string, string>} file -> "mtime:size"
+ */
+function takeSnapshot(stages, configPatterns) {
+  const patterns = [...configPatterns, ...stages.flatMap(s => s.patterns)]
+    .filter(pattern => !OUTPUT_DIRS.test(pattern));
+  const configFiles = stages.flatMap(s => s.configFiles || []);
+  const snapshot = new Map();
+
+  for (const file of [...findFiles(patterns, { ignore: IGNORED_PATTERNS }), ...findFiles(configFiles)]) {
+    try {
+      const stat = fs.statSync(file);
+      snapshot.set(file, `${stat.mtimeMs}:${stat.size}`);
+    } catch {}
+  }
+
+  return snapshot;
+}
+
+/**
+ * List files added, removed or modified between two snapshots
+ */
+function diffSnapshots(previous, current) {
+  const changed = [];
+  for (const [file, signature] of current) {
+    if (previous.get(file) !== signature) changed.push(file);
+  }
+  for (const file of previous.keys()) {
+    if (!current.has(file)) changed.push(file);
+  }
+  return changed;
+}
+
+/**
+ * Work out which stages a set of changed files affects, including every stage
+ * that (transitively) depends on an affected stage
+ */
+function getAffectedStages(stages, changedFiles) {
+  const affected = new Set(
+    stages
+      .filter(stage => {
+        const patterns = [...stage.patterns, ...(stage.configFiles || [])];
+        return changedFiles.some(file => matchesAny(file, patterns));
+      })
+      .map(s => s.name)
+  );
+
+  let added = true;
+  while (added) {
+    added = false;
+    for (const stage of stages) {
+      if (!affected.has(stage.name) && stage.dependsOn.some(dep => affected.has(dep))) {
+        affected.add(stage.name);
+        added = true;
+      }
+    }
+  }
+
+  return stages.map(s => s.name).filter(name => affected.has(name));
+}
+
+/**
+ * Render the status panel shown while watching
+ */
+function renderPanel(stages, state, fileCount) {
+  const lines = [
+    `hugo-validator watch - ${fileCount} files (Ctrl+C to stop)`,
+    '',
+  ];
+
+  for (const stage of stages) {
+    lines.push(`  ${formatStageLine(stage.name, state.stages[stage.name], stages)}`);
+  }
+
+  lines.push('');
+  if (state.lastChange) {
+    lines.push(`Last change: ${state.lastChange}`);
+  }
+  if (state.running) {
+    lines.push('Running...');
+  } else if (state.lastRun) {
+    const result = state.exitCode === 0 ? '✅ All validations passed' : '❌ Validation failed';
+    lines.push(`${result} at ${state.lastRun.toLocaleTimeString()}`);
+  }
+  if (state.error) {
+    lines.push(`❌ ${state.error}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format one stage's status as a single line
+ */
+function formatStageLine(name, progress, stages = []) {
+  const width = Math.max(8, ...stages.map(s => s.name.length));
+  let detail = progress.status;
+  if (progress.reason) detail += ` - ${progress.reason}`;
+  if (progress.duration !== undefined) detail += ` (${progress.duration.toFixed(1)}s)`;
+  return `${STATUS_ICONS[progress.status] || '  '} ${name.padEnd(width)} ${detail}`;
+}
+
+module.exports = { watch, getAffectedStages };
@@ -2,6 +2,6 @@
 # Generated by hugo-validation
 # To regenerate: npx hugo-validation setup-hooks
 
-npx hugo-validation validate
+npx hugo-validation validate --staged
 
 exit $?
@@ -1,77 +1,36 @@
 import { test, expect } from '@playwright/test';
 import AxeBuilder from '@axe-core/playwright';
-import * as fs from 'fs';
-import * as path from 'path';
-
-interface Config {
-  skipPaths: string[];
-}
-
-// Load configuration
-function loadConfig(): Config {
-  const configPath = path.join(process.cwd(), 'hugo-validator', 'hugo-validator.config.js');
-  const defaults: Config = {
-    skipPaths: ['/rss.xml', '/sitemap.xml', '/robots.txt'],
-  };
-
-  if (fs.existsSync(configPath)) {
-    try {
-      const userConfig = require(configPath);
-      return { ...defaults, ...userConfig };
-    } catch {
-      return defaults;
-    }
-  }
-  return defaults;
+import { loadConfig, getPages, markBaselined } from 'hugo-validator/playwright';
+
+interface Finding {
+  rule: string;
+  url: string;
+  selector: string;
+  severity: 'error';
+  message: string;
+  help: string;
+  impact: string;
 }
 
 const config = loadConfig();
-const TIMEOUT = 10000;
-
-// Collect all internal pages by crawling
-async function getAllPages(page: any, baseURL: string): Promise<string[]> {
-  const visited = new Set<string>();
-  const toVisit = ['/'];
-
-  while (toVisit.length > 0) {
-    const currentPath = toVisit.shift()!;
-    if (visited.has(currentPath)) continue;
-    visited.add(currentPath);
-
-    try {
-      const response = await page.goto(`${baseURL}${currentPath}`, { timeout: TIMEOUT });
-      if (!response || response.status() !== 200) continue;
-    } catch {
-      continue;
-    }
 
-    const links = await page.evaluate(() => {
-      return Array.from(document.querySelectorAll('a[href]'))
-        .map(a => a.getAttribute('href'))
-        .filter((href): href is string => href !== null);
-    });
+// A path no site has, so the custom 404 page is checked too
+const NOT_FOUND_PATH = '/hugo-validator-missing-page/';
 
-    for (const href of links) {
-      if (href.startsWith('/') && !href.startsWith('//')) {
-        const cleanPath = href.split('#')[0];
-        if (!visited.has(cleanPath) && !toVisit.includes(cleanPath)) {
-          toVisit.push(cleanPath);
-        }
-      }
-    }
-  }
-
-  return Array.from(visited);
-}
+// Pages to limit testing to, set by `hugo-validator validate --staged`
+const STAGED_PAGES = process.env.HUGO_VALIDATOR_PAGES?.split(',').filter(Boolean);
 
 test.describe('Accessibility (WCAG 2.2)', () => {
   test('all pages pass WCAG 2.2 AA', async ({ page, baseURL }) => {
     test.setTimeout(600000); // 10 minutes - accessibility checks take time
-    const allPages = await getAllPages(page, baseURL!);
+    const allPages = STAGED_PAGES || getPages();
     const pages = allPages.filter(p => !config.skipPaths.some(skip => p.endsWith(skip)));
     console.log(`Testing ${pages.length} pages for accessibility (skipped ${allPages.length - pages.length} non-HTML)`);
+    if (!STAGED_PAGES && config.testServer.notFoundPage) {
+      pages.push(NOT_FOUND_PATH);
+    }
 
-    const violations: { url: string; issues: any[] }[] = [];
+    const axeFindings: Finding[] = [];
 
     for (const currentPath of pages) {
       await page.goto(`${baseURL}${currentPath}`, { waitUntil: 'load' });
@@ -88,16 +47,58 @@ test.describe('Accessibility (WCAG 2.2)', () => {
         })
         .analyze();
 
-      if (results.violations.length > 0) {
-        violations.push({ url: currentPath, issues: results.violations });
+      for (const violation of results.violations) {
+        for (const node of violation.nodes) {
+          axeFindings.push({
+            rule: `axe/${violation.id}`,
+            url: currentPath,
+            selector: node.target.flat().join(' '),
+            severity: 'error',
+            message: `${violation.help} (${violation.impact})`,
+            help: violation.help,
+            impact: violation.impact ?? 'unknown',
+          });
+        }
+      }
+    }
+
+    // Known violations recorded by `hugo-validator baseline` don't fail the test
+    const findings = markBaselined(axeFindings.map(({ help, impact, ...finding }) => finding));
+
+    // New violations grouped by page, then by axe rule
+    const violations: { url: string; issues: { id: string; help: string; impact: string; count: number }[] }[] = [];
+    axeFindings.forEach((finding, i) => {
+      if (findings[i].baselined) return;
+      let violation = violations.find(v => v.url === finding.url);
+      if (!violation) {
+        violation = { url: finding.url, issues: [] };
+        violations.push(violation);
       }
+      const id = finding.rule.replace(/^axe\//, '');
+      const issue = violation.issues.find(i => i.id === id);
+      if (issue) {
+        issue.count++;
+      } else {
+        violation.issues.push({ id, help: finding.help, impact: finding.impact, count: 1 });
+      }
+    });
+
+    // Picked up by the summary reporter, so validate can record and compare findings
+    await test.info().attach('findings', {
+      body: JSON.stringify(findings),
+      contentType: 'application/json',
+    });
+
+    const known = findings.filter(f => f.baselined).length;
+    if (known > 0) {
+      console.log(`${known} known violations in baseline`);
     }
 
     if (violations.length > 0) {
       const report = violations
         .map(v => {
           const issues = v.issues
-            .map(i => `    [${i.id}] ${i.help} (${i.impact}) - ${i.nodes.length} element(s)`)
+            .map(i => `    [${i.id}] ${i.help} (${i.impact}) - ${i.count} element(s)`)
             .join('\n');
           return `  ${v.url}\n${issues}`;
         })
@@ -1,99 +1,20 @@
 import { test, expect, devices } from '@playwright/test';
-import * as fs from 'fs';
-import * as path from 'path';
-
-interface Config {
-  interaction: {
-    navSelector: string;
-    touchTargetSelectors: string[];
-  };
-}
-
-// Load configuration
-function loadConfig(): Config {
-  const configPath = path.join(process.cwd(), 'hugo-validator', 'hugo-validator.config.js');
-  const defaults: Config = {
-    interaction: {
-      navSelector: '.site-nav a',
-      touchTargetSelectors: [
-        'button',
-        'input',
-        'select',
-        'textarea',
-        '[role="button"]',
-        'nav a',
-        '.footer-icons a',
-      ],
-    },
-  };
-
-  if (fs.existsSync(configPath)) {
-    try {
-      const userConfig = require(configPath);
-      return {
-        interaction: { ...defaults.interaction, ...userConfig.interaction },
-      };
-    } catch {
-      return defaults;
-    }
-  }
-  return defaults;
-}
+import { loadConfig, getPages } from 'hugo-validator/playwright';
 
 const config = loadConfig();
 
 const MOBILE_VIEWPORT = devices['iPhone 12'];
-const TIMEOUT = 10000;
 const MIN_TOUCH_TARGET = 44; // WCAG 2.2 minimum touch target size
 
-// Pages to test
-async function getAllPages(page: any, baseURL: string): Promise<string[]> {
-  const visited = new Set<string>();
-  const toVisit = ['/'];
-
-  while (toVisit.length > 0) {
-    const currentPath = toVisit.shift()!;
-    if (visited.has(currentPath)) continue;
-    visited.add(currentPath);
-
-    try {
-      const response = await page.goto(`${baseURL}${currentPath}`, { timeout: TIMEOUT });
-      if (!response || response.status() !== 200) continue;
-
-      const contentType = response.headers()['content-type'] || '';
-      if (!contentType.includes('text/html')) continue;
-    } catch {
-      continue;
-    }
-
-    const links = await page.evaluate(() => {
-      return Array.from(document.querySelectorAll('a[href]'))
-        .map(a => a.getAttribute('href'))
-        .filter((href): href is string => href !== null);
-    });
-
-    for (const href of links) {
-      if (href.startsWith('/') && !href.startsWith('//')) {
-        const cleanPath = href.split('#')[0];
-        if (!visited.has(cleanPath) && !toVisit.includes(cleanPath)) {
-          toVisit.push(cleanPath);
-        }
-      }
-    }
-  }
-
-  return Array.from(visited);
-}
-
 test.describe('Interaction', () => {
   test('touch targets meet minimum size on mobile', async ({ page, baseURL }) => {
-    test.setTimeout(300000); // 5 minutes - crawling all pages takes time
+    test.setTimeout(300000); // 5 minutes - checking all pages takes time
     await page.setViewportSize({
       width: MOBILE_VIEWPORT.viewport.width,
       height: MOBILE_VIEWPORT.viewport.height,
     });
 
-    const allPages = await getAllPages(page, baseURL!);
+    const allPages = getPages();
     const violations: { url: string; elements: { selector: string; width: number; height: number }[] }[] = [];
 
     // Get selectors from config
@@ -1,109 +1,61 @@
 import { test, expect } from '@playwright/test';
 import * as fs from 'fs';
 import * as path from 'path';
+import { loadConfig, loadInventory, getInternalPath, findOrphanPages, findBrokenAnchorLinks, getPageResources, getExternalLinks, checkExternalLinks, isBrokenLink, markBaselined } from 'hugo-validator/playwright';
 
 interface LinkResult {
   url: string;
-  status: number | 'error' | 'skipped';
+  status: number | 'error';
   error?: string;
   foundOn: string;
 }
 
-interface Config {
-  siteUrl: string;
-  skipExternalDomains: Record<string, string>;
-  skipPaths: string[];
-}
-
-// Default domains to skip - these commonly block automated requests
-const DEFAULT_SKIP_DOMAINS: Record<string, string> = {
-  'linkedin.com': 'Blocks automated requests (999)',
-  'www.linkedin.com': 'Blocks automated requests (999)',
-  'stackoverflow.com': 'Blocks automated requests (403)',
-  'stackexchange.com': 'Blocks automated requests (403)',
-  'quora.com': 'Blocks automated requests (403)',
-  '4sysops.com': 'Blocks automated requests (403)',
-  'docs.midjourney.com': 'Blocks automated requests (403)',
-  'jigsaw.w3.org': 'Requires referrer header (403)',
-};
-
-// Load configuration
-function loadConfig(): Config {
-  const configPath = path.join(process.cwd(), 'hugo-validator', 'hugo-validator.config.js');
-  const defaults: Config = {
-    siteUrl: 'https://example.com',
-    skipExternalDomains: DEFAULT_SKIP_DOMAINS,
-    skipPaths: ['/rss.xml', '/sitemap.xml', '/robots.txt'],
-  };
-
-  if (fs.existsSync(configPath)) {
-    try {
-      const userConfig = require(configPath);
-      // Merge skipExternalDomains: user config appends to/overrides defaults
-      const mergedSkipDomains = {
-        ...DEFAULT_SKIP_DOMAINS,
-        ...userConfig.skipExternalDomains,
-      };
-      return { ...defaults, ...userConfig, skipExternalDomains: mergedSkipDomains };
-    } catch {
-      return defaults;
-    }
-  }
-  return defaults;
-}
-
 const config = loadConfig();
 
 const INTERNAL_TIMEOUT = 5000;
-const EXTERNAL_TIMEOUT = 10000;
-const CONCURRENT_EXTERNAL_CHECKS = 5;
+
+// Set by `hugo-validator validate --offline`
+const OFFLINE = process.env.HUGO_VALIDATOR_OFFLINE === '1';
+
+// A path no site has, to see what visitors get for a missing page
+const NOT_FOUND_PATH = '/hugo-validator-missing-page/';
 
 test.describe('Link Validation', () => {
-  test('all internal links return 200', async ({ page, baseURL }) => {
-    const visited = new Set<string>();
-    const toVisit = ['/'];
+  test('all internal links return 200', async ({ request, baseURL }) => {
+    const inventory = loadInventory();
+    const statuses = new Map(inventory.pages.map(p => [p.path, p.status])); // already fetched by discovery
     const internalLinks: Map<string, string> = new Map(); // url -> foundOn
     const brokenLinks: LinkResult[] = [];
 
-    // Crawl all internal pages
-    while (toVisit.length > 0) {
-      const path = toVisit.shift()!;
-      if (visited.has(path)) continue;
-      visited.add(path);
-
-      const response = await page.goto(`${baseURL}${path}`, { timeout: INTERNAL_TIMEOUT });
+    for (const page of inventory.pages) {
+      if (page.status !== 200) {
+        brokenLinks.push({ url: page.path, status: page.status, foundOn: page.sources.join(', ') });
+      }
 
-      if (!response || response.status() !== 200) {
-        brokenLinks.push({
-          url: path,
-          status: response?.status() || 'error',
-          foundOn: internalLinks.get(path) || 'start',
-        });
-        continue;
+      for (const href of page.links) {
+        const target = getInternalPath(href, page.path);
+        if (target && !internalLinks.has(target)) {
+          internalLinks.set(target, page.path);
+        }
       }
+    }
 
-      // Extract all links from the page
-      const links = await page.evaluate(() => {
-        return Array.from(document.querySelectorAll('a[href]'))
-          .map(a => a.getAttribute('href'))
-          .filter((href): href is string => href !== null);
-      });
-
-      for (const href of links) {
-        // Skip anchors, mailto, tel, javascript
-        if (href.startsWith('#') || href.startsWith('mailto:') ||
-            href.startsWith('tel:') || href.startsWith('javascript:')) {
-          continue;
+    // Link targets that aren't pages in the inventory
+    for (const [target, foundOn] of internalLinks) {
+      if (statuses.has(target)) {
+        if (statuses.get(target) !== 200 && !brokenLinks.some(l => l.url === target)) {
+          brokenLinks.push({ url: target, status: statuses.get(target)!, foundOn });
         }
+        continue;
+      }
 
-        // Internal link
-        if (href.startsWith('/') && !href.startsWith('//')) {
-          const cleanPath = href.split('#')[0]; // Remove anchor
-          if (!visited.has(cleanPath) && !toVisit.includes(cleanPath)) {
-            toVisit.push(cleanPath);
-            internalLinks.set(cleanPath, path);
-          }
+      try {
+        const response = await request.get(`${baseURL}${target}`, { timeout: INTERNAL_TIMEOUT });
+        if (response.status() !== 200) {
+          brokenLinks.push({ url: target, status: response.status(), foundOn });
         }
+      } catch (e: any) {
+        brokenLinks.push({ url: target, status: 'error', error: e.message, foundOn });
       }
     }
 
@@ -115,170 +67,152 @@ test.describe('Link Validation', () => {
       expect(brokenLinks, `Broken internal links:\n${report}`).toHaveLength(0);
     }
 
-    console.log(`Checked ${visited.size} internal pages`);
+    console.log(`Checked ${inventory.pages.length} pages and ${internalLinks.size} internal link targets`);
   });
 
-  test('all external links are reachable', async ({ page, baseURL, request }) => {
-    test.setTimeout(600000); // 10 minutes - checking many external links takes time
-    const visited = new Set<string>();
-    const toVisit = ['/'];
-    const externalLinks: Map<string, string> = new Map(); // url -> foundOn
-    const skippedLinks: { url: string; reason: string }[] = [];
-
-    // Build skip domains list from config
-    const skipDomains = { ...config.skipExternalDomains };
+  test('all anchor links point to an existing id', async ({ baseURL }) => {
+    const broken = await findBrokenAnchorLinks(baseURL!);
 
-    // Crawl all internal pages to collect external links
-    while (toVisit.length > 0) {
-      const currentPath = toVisit.shift()!;
-      if (visited.has(currentPath)) continue;
-      visited.add(currentPath);
+    if (broken.length > 0) {
+      const report = broken
+        .map(a => `  ${a.href} (no id "${a.fragment}" on ${a.target}) - found on: ${a.foundOn}`)
+        .join('\n');
+      expect(broken, `Broken anchor links:\n${report}`).toHaveLength(0);
+    }
 
-      try {
-        const response = await page.goto(`${baseURL}${currentPath}`, { timeout: INTERNAL_TIMEOUT });
-        if (!response || response.status() !== 200) continue;
-      } catch {
-        continue;
-      }
+    console.log('All anchor links point to an existing id');
+  });
 
-      const links = await page.evaluate(() => {
-        return Array.from(document.querySelectorAll('a[href]'))
-          .map(a => a.getAttribute('href'))
-          .filter((href): href is string => href !== null);
-      });
-
-      for (const href of links) {
-        // Internal link - add to crawl queue
-        if (href.startsWith('/') && !href.startsWith('//')) {
-          const cleanPath = href.split('#')[0];
-          if (!visited.has(cleanPath) && !toVisit.includes(cleanPath)) {
-            toVisit.push(cleanPath);
-          }
-          continue;
+  test('all referenced resources load', async ({ request, baseURL }) => {
+    const { internal, mixedContent } = getPageResources();
+    const statuses: Map<string, number | 'error'> = new Map(); // path -> status
+    const broken: { resource: typeof internal[number]; status: number | 'error' }[] = [];
+
+    for (const resource of internal) {
+      if (!statuses.has(resource.path!)) {
+        try {
+          const response = await request.head(`${baseURL}${resource.path}`, { timeout: INTERNAL_TIMEOUT });
+          statuses.set(resource.path!, response.status());
+        } catch {
+          statuses.set(resource.path!, 'error');
         }
+      }
 
-        // External link
-        if (href.startsWith('http://') || href.startsWith('https://') || href.startsWith('//')) {
-          const fullUrl = href.startsWith('//') ? `https:${href}` : href;
-
-          // Check if domain should be skipped
-          try {
-            const domain = new URL(fullUrl).hostname;
-            const skipDomain = Object.keys(skipDomains).find(d => domain.includes(d));
-            if (skipDomain) {
-              if (!skippedLinks.some(s => s.url === fullUrl)) {
-                skippedLinks.push({ url: fullUrl, reason: skipDomains[skipDomain] });
-              }
-              continue;
-            }
-          } catch {
-            continue; // Invalid URL
-          }
-
-          if (!externalLinks.has(fullUrl)) {
-            externalLinks.set(fullUrl, currentPath);
-          }
-        }
+      const status = statuses.get(resource.path!)!;
+      if (status === 'error' || status >= 400) {
+        broken.push({ resource, status });
       }
     }
 
-    // Log skipped links
-    if (skippedLinks.length > 0) {
-      console.log(`Skipped ${skippedLinks.length} external links:`);
-      for (const { url, reason } of skippedLinks) {
-        console.log(`  - ${url} (${reason})`);
+    // Report per page, with the element that references the resource
+    const byPage = (entries: { foundOn: string; line: string }[]) => {
+      const pages: Map<string, string[]> = new Map();
+      for (const { foundOn, line } of entries) {
+        pages.set(foundOn, [...(pages.get(foundOn) || []), line]);
       }
-    }
+      return [...pages].map(([page, lines]) => [`  ${page}`, ...lines.map(line => `    ${line}`)].join('\n')).join('\n');
+    };
 
-    console.log(`Found ${externalLinks.size} external links to check`);
-
-    // Check external links in batches
-    const results: LinkResult[] = [];
-    const entries = Array.from(externalLinks.entries());
-    const rateLimitedDomains = new Set<string>(); // Track domains that return 429
-
-    for (let i = 0; i < entries.length; i += CONCURRENT_EXTERNAL_CHECKS) {
-      const batch = entries.slice(i, i + CONCURRENT_EXTERNAL_CHECKS);
-      const batchResults = await Promise.all(
-        batch.map(async ([url, foundOn]) => {
-          // Skip if domain is rate limited
-          try {
-            const domain = new URL(url).hostname;
-            if (rateLimitedDomains.has(domain)) {
-              return { url, status: 'skipped' as const, foundOn, error: 'Domain rate limited (429)' };
-            }
-          } catch {
-            // Invalid URL, continue to check
-          }
-
-          try {
-            const response = await request.head(url, {
-              timeout: EXTERNAL_TIMEOUT,
-              ignoreHTTPSErrors: true,
-            });
-
-            let status = response.status();
-
-            // Try GET if HEAD fails - many sites block HEAD but allow GET
-            // 405 = Method Not Allowed, 403/404/429/999 = often bot blocking
-            if ([405, 403, 404, 429, 999].includes(status)) {
-              try {
-                const getResponse = await request.get(url, {
-                  timeout: EXTERNAL_TIMEOUT,
-                  ignoreHTTPSErrors: true,
-                });
-                status = getResponse.status();
-              } catch {
-                // GET also failed, keep original HEAD status
-              }
-            }
-
-            // If still 429, mark domain as rate limited for future URLs
-            if (status === 429) {
-              try {
-                const domain = new URL(url).hostname;
-                rateLimitedDomains.add(domain);
-                console.log(`Rate limited by ${domain}, skipping remaining URLs from this domain`);
-              } catch {}
-              return { url, status: 'skipped' as const, foundOn, error: 'Rate limited (429)' };
-            }
-
-            return { url, status, foundOn };
-          } catch (error) {
-            return {
-              url,
-              status: 'error' as const,
-              error: error instanceof Error ? error.message : 'Unknown error',
-              foundOn,
-            };
-          }
-        })
-      );
-      results.push(...batchResults);
+    if (broken.length > 0) {
+      const report = byPage(broken.map(({ resource: r, status }) => ({ foundOn: r.foundOn, line: `${r.element} ${r.url} (status: ${status})` })));
+      expect.soft(broken, `Broken resources:\n${report}`).toHaveLength(0);
     }
 
-    // Log skipped domains
-    if (rateLimitedDomains.size > 0) {
-      console.log(`Skipped remaining URLs from rate-limited domains: ${Array.from(rateLimitedDomains).join(', ')}`);
+    if (mixedContent.length > 0) {
+      const report = byPage(mixedContent.map(r => ({ foundOn: r.foundOn, line: `${r.element} ${r.url}` })));
+      expect.soft(mixedContent, `http:// resources on an https site (mixed content):\n${report}`).toHaveLength(0);
     }
 
-    // Filter broken links (allow redirects, but not 4xx/5xx, exclude skipped)
-    const brokenLinks = results.filter(r => {
-      if (r.status === 'skipped') return false; // Don't count rate-limited as broken
-      if (r.status === 'error') return true;
-      if (typeof r.status === 'number' && r.status >= 400) return true;
-      return false;
+    console.log(`Checked ${statuses.size} local resources, ${broken.length} broken references, ${mixedContent.length} mixed content`);
+  });
+
+  test('every page is linked from another page', async () => {
+    const inventory = loadInventory();
+    test.skip(inventory.sources.every(source => source === 'crawl'), 'Crawled pages are always linked - add sitemap or filesystem to pageDiscovery.sources');
+
+    const pages = findOrphanPages();
+    const findings = markBaselined(pages.map(page => ({
+      rule: 'orphan-page',
+      url: page.path,
+      severity: 'error' as const,
+      message: 'No other page links to this page',
+    })));
+
+    // Picked up by the summary reporter, so validate can record and compare findings
+    await test.info().attach('findings', {
+      body: JSON.stringify(findings),
+      contentType: 'application/json',
     });
 
+    const orphans = pages.filter((page, i) => !findings[i].baselined);
+    if (orphans.length > 0) {
+      const report = orphans.map(page => `  ${page.path} (listed in: ${page.sources.join(', ')})`).join('\n');
+      expect(orphans, `Orphan pages (add intentional ones to orphanAllowlist):\n${report}`).toHaveLength(0);
+    }
+
+    const known = findings.length - orphans.length;
+    console.log(`No new orphan pages among ${inventory.pages.length} pages${known > 0 ? ` (${known} known in baseline)` : ''}`);
+  });
+
+  test('missing pages get the custom 404 page', async ({ page, baseURL }) => {
+    const response = await page.goto(`${baseURL}${NOT_FOUND_PATH}`, { timeout: INTERNAL_TIMEOUT });
+    expect(response?.status(), `${NOT_FOUND_PATH} should return 404`).toBe(404);
+
+    const { publicDir, notFoundPage } = config.testServer;
+    const notFoundFile = notFoundPage ? path.join(process.cwd(), publicDir, notFoundPage) : null;
+    test.skip(!notFoundFile || !fs.existsSync(notFoundFile), 'Site has no custom 404 page');
+
+    const body = await response!.text();
+    expect(body === fs.readFileSync(notFoundFile!, 'utf8'), `${NOT_FOUND_PATH} should serve ${publicDir}/${notFoundPage}`).toBe(true);
+  });
+
+  test('all external links are reachable', async ({ request }) => {
+    test.setTimeout(600000); // 10 minutes - checking many external links takes time
+    const { links, skipped } = getExternalLinks();
+
+    // Log skipped links
+    if (skipped.length > 0) {
+      console.log(`Skipped ${skipped.length} external links:`);
+      for (const { url, reason, rule } of skipped) {
+        console.log(`  - ${url} (${reason}, rule: ${rule})`);
+      }
+    }
+
+    console.log(`Found ${links.length} external links to check${OFFLINE ? ' (offline - cached results only)' : ''}`);
+
+    const results = await checkExternalLinks(request, links);
+
+    // Broken links (redirects are fine; rate-limited and offline links aren't counted, and
+    // warn-only link rules are reported without failing)
+    const brokenLinks = results.filter(r => isBrokenLink(r) && !r.warnOnly);
+    const warnings = results.filter(r => isBrokenLink(r) && r.warnOnly);
+    const describe = (l: typeof results[number]) =>
+      `  ${l.url} (status: ${l.status}${l.error ? `, error: ${l.error}` : ''}${l.attempts! > 1 ? `, ${l.attempts} attempts` : ''}${l.cached ? `, cached ${l.checkedAt}` : ''}${l.rule ? `, rule: ${l.rule}` : ''}) - found on: ${l.foundOn}`;
+
+    if (warnings.length > 0) {
+      console.log(`Warnings (warn-only link rules):\n${warnings.map(describe).join('\n')}`);
+      for (const l of warnings) {
+        test.info().annotations.push({ type: 'warning', description: `${l.url} (status: ${l.status}) - found on: ${l.foundOn}` });
+      }
+    }
+
     if (brokenLinks.length > 0) {
-      const report = brokenLinks
-        .map(l => `  ${l.url} (status: ${l.status}${l.error ? `, error: ${l.error}` : ''}) - found on: ${l.foundOn}`)
-        .join('\n');
+      const report = brokenLinks.map(describe).join('\n');
 
       // Use soft assertion to report all broken links but not fail immediately
       expect.soft(brokenLinks, `Broken external links:\n${report}`).toHaveLength(0);
     }
 
-    console.log(`Checked ${results.length} external links, ${brokenLinks.length} broken`);
+    const cached = results.filter(r => r.cached).length;
+    const retried = results.filter(r => r.attempts! > 1).length;
+    const rateLimited = results.filter(r => r.status === 'skipped');
+    const unchecked = results.filter(r => r.status === 'unchecked');
+    for (const { url, error } of rateLimited) {
+      console.log(`Not checked: ${url} (${error})`);
+    }
+    if (unchecked.length > 0) {
+      console.log(`Not checked (offline, no cached result): ${unchecked.length} external links`);
+    }
+    console.log(`Checked ${results.length} external links (${cached} from cache, ${retried} needed retries), ${brokenLinks.length} broken${warnings.length > 0 ? `, ${warnings.length} warnings` : ''}`);
   });
 });
@@ -1,93 +1,24 @@
 import { test, expect, devices } from '@playwright/test';
-import * as fs from 'fs';
-import * as path from 'path';
-
-interface Config {
-  responsive: {
-    wrapperSelector: string;
-    spotCheckPages: string[];
-  };
-}
-
-// Load configuration
-function loadConfig(): Config {
-  const configPath = path.join(process.cwd(), 'hugo-validator', 'hugo-validator.config.js');
-  const defaults: Config = {
-    responsive: {
-      wrapperSelector: '.page-wrapper',
-      spotCheckPages: ['/', '/posts/', '/about/'],
-    },
-  };
-
-  if (fs.existsSync(configPath)) {
-    try {
-      const userConfig = require(configPath);
-      return {
-        responsive: { ...defaults.responsive, ...userConfig.responsive },
-      };
-    } catch {
-      return defaults;
-    }
-  }
-  return defaults;
-}
+import { loadConfig, getPages } from 'hugo-validator/playwright';
 
 const config = loadConfig();
 
 const MOBILE_VIEWPORT = devices['iPhone 12'];
 const TABLET_VIEWPORT = devices['iPad Mini'];
-const TIMEOUT = 10000;
-
-// Pages to test
-async function getAllPages(page: any, baseURL: string): Promise<string[]> {
-  const visited = new Set<string>();
-  const toVisit = ['/'];
-
-  while (toVisit.length > 0) {
-    const currentPath = toVisit.shift()!;
-    if (visited.has(currentPath)) continue;
-    visited.add(currentPath);
-
-    try {
-      const response = await page.goto(`${baseURL}${currentPath}`, { timeout: TIMEOUT });
-      if (!response || response.status() !== 200) continue;
-
-      // Skip non-HTML
-      const contentType = response.headers()['content-type'] || '';
-      if (!contentType.includes('text/html')) continue;
-    } catch {
-      continue;
-    }
-
-    const links = await page.evaluate(() => {
-      return Array.from(document.querySelectorAll('a[href]'))
-        .map(a => a.getAttribute('href'))
-        .filter((href): href is string => href !== null);
-    });
-
-    for (const href of links) {
-      if (href.startsWith('/') && !href.startsWith('//')) {
-        const cleanPath = href.split('#')[0];
-        if (!visited.has(cleanPath) && !toVisit.includes(cleanPath)) {
-          toVisit.push(cleanPath);
-        }
-      }
-    }
-  }
 
-  return Array.from(visited);
-}
+// Pages to limit testing to, set by `hugo-validator validate --staged`
+const STAGED_PAGES = process.env.HUGO_VALIDATOR_PAGES?.split(',').filter(Boolean);
 
 test.describe('Responsive Layout', () => {
   test('no horizontal overflow on mobile', async ({ page, baseURL }) => {
-    test.setTimeout(300000); // 5 minutes - crawling all pages takes time
+    test.setTimeout(300000); // 5 minutes - checking all pages takes time
     // Set mobile viewport
     await page.setViewportSize({
       width: MOBILE_VIEWPORT.viewport.width,
       height: MOBILE_VIEWPORT.viewport.height,
     });
 
-    const allPages = await getAllPages(page, baseURL!);
+    const allPages = STAGED_PAGES || getPages();
     const overflowPages: { url: string; overflow: number }[] = [];
     let checkedCount = 0;
 
@@ -183,13 +114,13 @@ test.describe('Responsive Layout', () => {
   });
 
   test('no horizontal overflow on tablet', async ({ page, baseURL }) => {
-    test.setTimeout(300000); // 5 minutes - crawling all pages takes time
+    test.setTimeout(300000); // 5 minutes - checking all pages takes time
     await page.setViewportSize({
       width: TABLET_VIEWPORT.viewport.width,
       height: TABLET_VIEWPORT.viewport.height,
     });
 
-    const allPages = await getAllPages(page, baseURL!);
+    const allPages = STAGED_PAGES || getPages();
     const overflowPages: { url: string; overflow: number }[] = [];
 
     for (const currentPath of allPages) {
@@ -2,12 +2,20 @@ import type { FullConfig, FullResult, Reporter, Suite, TestCase, TestResult } fr
 import * as fs from 'fs';
 import * as path from 'path';
 
+interface Screenshot {
+  name: string;
+  path: string;
+}
+
 interface TestSummary {
   name: string;
+  project?: string;
   status: 'passed' | 'failed' | 'skipped';
   duration: string;
   output: string[];
   errors: string[];
+  findings?: object[];
+  screenshots?: Screenshot[];
 }
 
 interface SuiteSummary {
@@ -27,13 +35,17 @@ interface ReportSummary {
 class SummaryReporter implements Reporter {
   private suiteMap: Map<string, SuiteSummary> = new Map();
   private startTime: number = 0;
+  private multipleProjects: boolean = false;
 
   onBegin(config: FullConfig, suite: Suite) {
     this.startTime = Date.now();
+    this.multipleProjects = config.projects.length > 1;
   }
 
   onTestEnd(test: TestCase, result: TestResult) {
-    const suiteName = test.parent.title;
+    // With several browsers, each test runs once per project - keep the runs apart
+    const project = test.parent.project()?.name;
+    const suiteName = this.multipleProjects && project ? `${test.parent.title} (${project})` : test.parent.title;
 
     if (!this.suiteMap.has(suiteName)) {
       this.suiteMap.set(suiteName, { suite: suiteName, tests: [] });
@@ -59,12 +71,25 @@ class SummaryReporter implements Reporter {
       }
     }
 
+    // Structured findings attached by a spec (e.g. axe violations)
+    const attachment = result.attachments.find(a => a.name === 'findings' && a.body);
+    const attached: object[] | undefined = attachment ? JSON.parse(attachment.body!.toString()) : undefined;
+    const findings = this.multipleProjects && project ? attached?.map(finding => ({ ...finding, project })) : attached;
+
+    // Screenshots (e.g. taken on failure) - copied into the report directory by validate
+    const screenshots: Screenshot[] = result.attachments
+      .filter(a => a.contentType.startsWith('image/') && a.path)
+      .map(a => ({ name: a.name, path: a.path! }));
+
     currentSuite.tests.push({
       name: test.title,
+      ...(project ? { project } : {}),
       status: result.status as 'passed' | 'failed' | 'skipped',
       duration: `${(result.duration / 1000).toFixed(2)}s`,
       output: output.filter(o => o.length > 0),
       errors,
+      ...(findings ? { findings } : {}),
+      ...(screenshots.length > 0 ? { screenshots } : {}),
     });
   }
 